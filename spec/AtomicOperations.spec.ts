@@ -0,0 +1,145 @@
+/* eslint-disable jsdoc/require-jsdoc */
+/* global fetch */
+
+import { Model, Store } from '../src/main'
+import { stringType } from '../src/utils'
+
+class Project extends Model {
+  static type = 'projects'
+  static endpoint = 'projects'
+
+  static attributeDefinitions = {
+    name: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+}
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+
+  static relationshipDefinitions = {
+    project: {
+      direction: 'toOne'
+    }
+  }
+}
+
+class AppStore extends Store {
+  static models = [Project, Todo]
+}
+
+const lastRequest = () => {
+  const [url, { method, headers, body }] = fetch.mock.calls[fetch.mock.calls.length - 1]
+  return { url, method, headers, operations: JSON.parse(body)['atomic:operations'] }
+}
+
+describe('AtomicOperations', () => {
+  let store
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    store = new AppStore({ baseUrl: '/example_api' })
+  })
+
+  it('sends the operations with the atomic extension', async () => {
+    const project = store.add('projects', { name: 'Taxes' })
+    const todo = store.add('todos', { title: 'Do taxes' })
+    todo.project = project
+    const persistedTodo = store.createOrUpdateModelFromData({ id: '5', type: 'todos', attributes: { title: 'Sort pills' } })
+    const removedTodo = store.createOrUpdateModelFromData({ id: '6', type: 'todos', attributes: { title: 'Pet dog' } })
+    fetch.mockResponse('', { status: 204 })
+
+    await store.atomic((operations) => {
+      operations.add(project)
+      operations.add(todo, { relationships: ['project'] })
+      operations.update(persistedTodo, { attributes: ['title'] })
+      operations.remove(removedTodo)
+    })
+
+    const { url, method, headers, operations } = lastRequest()
+    expect(url).toEqual('/example_api/operations')
+    expect(method).toEqual('POST')
+    expect(headers['Content-Type']).toEqual('application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"')
+    expect(operations).toEqual([
+      { op: 'add', data: { type: 'projects', lid: project.id, attributes: { name: 'Taxes' } } },
+      {
+        op: 'add',
+        data: {
+          type: 'todos',
+          lid: todo.id,
+          attributes: { title: 'Do taxes' },
+          relationships: { project: { data: { lid: project.id, type: 'projects' } } }
+        }
+      },
+      { op: 'update', data: { type: 'todos', id: '5', attributes: { title: 'Sort pills' } } },
+      { op: 'remove', ref: { type: 'todos', id: '6' } }
+    ])
+  })
+
+  it('applies the results to the records', async () => {
+    const project = store.add('projects', { name: 'Taxes' })
+    const todo = store.add('todos', { title: 'Do taxes' })
+    todo.project = project
+    const removedTodo = store.createOrUpdateModelFromData({ id: '6', type: 'todos', attributes: { title: 'Pet dog' } })
+    fetch.mockResponse(JSON.stringify({
+      'atomic:results': [
+        { data: { id: '1', type: 'projects', attributes: { name: 'Taxes' } } },
+        { data: { id: '2', type: 'todos', attributes: { title: 'Do taxes' }, relationships: { project: { data: { id: '1', type: 'projects' } } } } },
+        {}
+      ]
+    }))
+
+    const records = await store.atomic((operations) => {
+      operations.add(project).add(todo, { relationships: ['project'] }).remove(removedTodo)
+    })
+
+    expect(records).toEqual([project, todo, removedTodo])
+    expect(project.id).toEqual('1')
+    expect(todo.id).toEqual('2')
+    expect(todo.project).toBe(project)
+    expect(project.isNew).toBe(false)
+    expect(todo.hasUnpersistedChanges).toBe(false)
+    expect(store.getOne('todos', '6')).toBeUndefined()
+  })
+
+  it('adds the errors to the records by operation index', async () => {
+    const project = store.add('projects', { name: 'Taxes' })
+    const todo = store.add('todos', { title: '' })
+    fetch.mockResponse(JSON.stringify({
+      errors: [{ detail: "can't be blank", source: { pointer: '/atomic:operations/1/data/attributes/title' } }]
+    }), { status: 422 })
+
+    await expect(store.atomic((operations) => {
+      operations.add(project)
+      operations.add(todo)
+    })).rejects.toThrow("can't be blank")
+
+    expect(todo.errors.title[0].detail).toEqual("can't be blank")
+    expect(project.errors).toEqual({})
+    expect(project.isNew).toBe(true)
+    expect(todo.isInFlight).toBe(false)
+  })
+
+  it('refuses relationships to new records that are not added in the request', () => {
+    const todo = store.add('todos', { title: 'Do taxes' })
+    todo.project = store.add('projects', { name: 'Taxes' })
+
+    expect(() => store.atomic((operations) => operations.add(todo, { relationships: ['project'] })))
+      .toThrow('tried to save a relationship to an unpersisted record: "project"')
+  })
+
+  it('does not send an empty request', async () => {
+    expect(await store.atomic(() => {})).toEqual([])
+    expect(fetch).not.toHaveBeenCalled()
+  })
+})
@@ -1350,6 +1350,24 @@ describe('Model', () => {
   })
 
   describe('.save', () => {
+    it('keeps the top-level meta and links of the response', async () => {
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      fetch.mockResponseOnce(JSON.stringify({ ...JSON.parse(mockTodoResponse), meta: { permissions: { destroy: false } }, links: { self: '/example_api/todos/1' } }))
+
+      await todo.save({ skip_validations: true })
+
+      expect(todo.documentMeta).toEqual({ permissions: { destroy: false } })
+      expect(todo.documentLinks).toEqual({ self: '/example_api/todos/1' })
+
+      todo.title = 'Buy Oat Milk'
+      fetch.mockResponseOnce(JSON.stringify({ ...JSON.parse(mockTodoResponse), jsonapi: { version: '1.1' } }))
+      await todo.save({ skip_validations: true })
+
+      expect(todo.documentMeta).toBeNull()
+      expect(todo.documentLinks).toBeNull()
+      expect(todo.documentJsonapi).toEqual({ version: '1.1' })
+    })
+
     xit('handles in flight behavior', (done) => {
       // expect.assertions(3)
       // Mock slow server response
@@ -1528,6 +1546,325 @@ describe('Model', () => {
     })
   })
 
+  describe('cancellation', () => {
+    /**
+     * Builds a mock response that resolves after a delay
+     *
+     * @param {string} body the response body
+     * @returns {Function} the mock response
+     */
+    const slowResponse = (body) => () => new Promise((resolve) => setTimeout(() => resolve(body), 50))
+
+    it('aborts a save with a signal', async () => {
+      expect.assertions(4)
+      fetch.mockResponse(slowResponse(mockTodoResponse))
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      const controller = new AbortController()
+
+      const promise = todo.save({ signal: controller.signal, skip_validations: true })
+      expect(todo.isInFlight).toBe(true)
+      controller.abort()
+
+      await promise.catch((error) => {
+        expect(error.name).toEqual('AbortError')
+      })
+      expect(todo.isInFlight).toBe(false)
+      expect(todo.hasErrors).toBe(false)
+    })
+
+    it('aborts a destroy with a signal', async () => {
+      expect.assertions(3)
+      fetch.mockResponse(slowResponse(JSON.stringify({})))
+      const todo = store.add('todos', { id: '1', title: 'Buy Milk' })
+      const controller = new AbortController()
+
+      const promise = todo.destroy({ signal: controller.signal })
+      controller.abort()
+
+      await promise.catch((error) => {
+        expect(error.name).toEqual('AbortError')
+      })
+      expect(todo.isInFlight).toBe(false)
+      expect(store.getAll('todos')).toHaveLength(1)
+    })
+  })
+
+  describe('retries', () => {
+    beforeEach(() => {
+      store = new AppStore({
+        baseUrl: mockBaseUrl,
+        retryOptions: { attempts: 2, statuses: [503] }
+      })
+    })
+
+    it('does not retry a save by default', async () => {
+      fetch.mockResponse('', { status: 503 })
+      const todo = store.add('todos', { title: 'Buy Milk' })
+
+      await todo.save({ skip_validations: true }).catch(() => {})
+      expect(fetch.mock.calls).toHaveLength(1)
+    })
+
+    it('retries a save when mutations opt in', async () => {
+      store.retryOptions.mutations = { nonIdempotent: true }
+      fetch.mockResponseOnce('', { status: 503 })
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = store.add('todos', { title: 'Buy Milk' })
+
+      await todo.save({ skip_validations: true })
+      expect(fetch.mock.calls).toHaveLength(2)
+      expect(todo.isNew).toBe(false)
+    })
+
+    it('retries a save when the call opts in', async () => {
+      fetch.mockResponseOnce('', { status: 503 })
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = store.add('todos', { title: 'Buy Milk' })
+
+      await todo.save({ skip_validations: true, retryOptions: { nonIdempotent: true } })
+      expect(fetch.mock.calls).toHaveLength(2)
+    })
+
+    it('retries a destroy like any idempotent request', async () => {
+      fetch.mockResponseOnce('', { status: 503 })
+      fetch.mockResponseOnce(JSON.stringify({}))
+      const todo = store.add('todos', { id: '1', title: 'Buy Milk' })
+
+      await todo.destroy()
+      expect(fetch.mock.calls).toHaveLength(2)
+      expect(store.getAll('todos')).toHaveLength(0)
+    })
+  })
+
+  describe('optimistic updates', () => {
+    const mockErrorResponse = JSON.stringify({ errors: [{ status: '500', detail: 'Oops' }] })
+    let todo1, todo2, note
+
+    beforeEach(() => {
+      todo1 = store.add('todos', { id: '1', title: 'Buy Milk' })
+      todo2 = store.add('todos', { id: '2', title: 'Pet Dog' })
+      note = store.add('notes', { id: '10', description: 'Oat milk' })
+      note.todo = todo1
+      ;[todo1, todo2, note].forEach((record) => record.takeSnapshot({ persisted: true }))
+    })
+
+    describe('.save', () => {
+      it('counts the changes as persisted straight away', async () => {
+        fetch.mockResponse(JSON.stringify({ data: { id: '1', type: 'todos', attributes: { title: 'Buy Oat Milk' } } }))
+        todo1.title = 'Buy Oat Milk'
+
+        const promise = todo1.save({ optimistic: true, skip_validations: true })
+        expect(todo1.isDirty).toBe(false)
+        expect(todo1.hasUnpersistedChanges).toBe(false)
+        await promise
+
+        expect(todo1.title).toEqual('Buy Oat Milk')
+      })
+
+      it('reverts the changes if the request fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        todo1.title = 'Buy Oat Milk'
+
+        await expect(todo1.save({ optimistic: true, skip_validations: true })).rejects.toThrow('Oops')
+
+        expect(todo1.title).toEqual('Buy Milk')
+        expect(todo1.isDirty).toBe(false)
+        expect(todo1.hasUnpersistedChanges).toBe(false)
+      })
+
+      it('reverts the changes if the request is aborted', async () => {
+        fetch.mockResponse(() => new Promise((resolve) => setTimeout(() => resolve(JSON.stringify({})), 50)))
+        const controller = new AbortController()
+        todo1.title = 'Buy Oat Milk'
+        todo1.tags = ['dairy']
+
+        const promise = todo1.save({ optimistic: true, attributes: ['title'], signal: controller.signal, skip_validations: true })
+        controller.abort()
+
+        await expect(promise).rejects.toMatchObject({ name: 'AbortError' })
+        expect(todo1.title).toEqual('Buy Milk')
+        expect(todo1.tags).toEqual(['dairy'])
+        expect(todo1.isDirty).toBe(true)
+      })
+
+      it('only reverts what was saved', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        todo1.title = 'Buy Oat Milk'
+        note.description = 'Soy milk'
+        note.todo = todo2
+
+        await expect(note.save({ optimistic: true, attributes: [], relationships: ['todo'], skip_validations: true })).rejects.toThrow('Oops')
+
+        expect(note.description).toEqual('Soy milk')
+        expect(note.todo).toBe(todo1)
+      })
+
+      it('reverts inverse relationships', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        note.todo = todo2
+        expect(todo2.notes).toContain(note)
+
+        await expect(note.save({ optimistic: true, relationships: ['todo'], skip_validations: true })).rejects.toThrow('Oops')
+
+        expect(note.todo).toBe(todo1)
+        expect(todo1.notes).toContain(note)
+        expect(todo2.notes).not.toContain(note)
+      })
+    })
+
+    describe('.destroy', () => {
+      it('hides the record from getAll until the destroy is confirmed', async () => {
+        fetch.mockResponse(JSON.stringify({}))
+
+        const promise = todo1.destroy({ optimistic: true })
+        expect(store.getAll('todos')).toEqual([todo2])
+        expect(todo1.isPendingDestroy).toBe(true)
+        await promise
+
+        expect(store.getAll('todos')).toEqual([todo2])
+        expect(store.getOne('todos', '1')).toBeUndefined()
+      })
+
+      it('shows the record again if the destroy fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+
+        await expect(todo1.destroy({ optimistic: true })).rejects.toThrow('Oops')
+
+        expect(todo1.isPendingDestroy).toBe(false)
+        expect(store.getAll('todos')).toEqual([todo1, todo2])
+      })
+    })
+
+    describe('related records', () => {
+      it('saves an added record straight away', async () => {
+        fetch.mockResponse(JSON.stringify({ data: { id: '2', type: 'todos', attributes: { title: 'Pet Dog' } } }))
+
+        const promise = todo2.notes.add(note, { optimistic: true })
+        expect(todo2.notes).toContain(note)
+        expect(todo2.isDirty).toBe(false)
+        expect(await promise).toBe(note)
+
+        const { data } = JSON.parse(fetch.mock.calls[0][1].body)
+        expect(data.relationships.notes.data).toEqual([{ id: '10', type: 'notes' }])
+        expect(data.attributes).toEqual({})
+      })
+
+      it('reverts an added record and its inverse if the save fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+
+        await expect(todo2.notes.add(note, { optimistic: true })).rejects.toThrow('Oops')
+
+        expect(todo2.notes).toHaveLength(0)
+        expect(todo1.notes).toContain(note)
+        expect(note.todo).toBe(todo1)
+        expect(todo2.isDirty).toBe(false)
+        expect(todo1.isDirty).toBe(false)
+      })
+
+      it('reverts a removed record if the save fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        const otherNote = store.add('notes', { id: '11', description: 'Eggs' })
+        todo1.notes.add(otherNote)
+        todo1.takeSnapshot({ persisted: true })
+
+        await expect(todo1.notes.remove(note, { optimistic: true })).rejects.toThrow('Oops')
+
+        expect(todo1.notes.map(({ id }) => id)).toEqual(['10', '11'])
+        expect(note.todo).toBe(todo1)
+      })
+
+      it('reverts a replaced array if the save fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        const otherNote = store.add('notes', { id: '11', description: 'Eggs' })
+
+        await expect(todo1.notes.replace([otherNote], { optimistic: true })).rejects.toThrow('Oops')
+
+        expect(todo1.notes.map(({ id }) => id)).toEqual(['10'])
+        expect(otherNote.todo).toBeUndefined()
+      })
+
+      it('only changes a new record locally', async () => {
+        const todo = store.add('todos', { title: 'Walk Dog' })
+
+        expect(await todo.notes.add(note, { optimistic: true })).toBe(note)
+        expect(fetch.mock.calls).toHaveLength(0)
+      })
+    })
+  })
+
+  describe('invalidation rules', () => {
+    /**
+     * Returns the id of the user of a todo
+     *
+     * @param {object} todo the todo
+     * @returns {string} the id
+     */
+    const userId = (todo) => todo.user?.id
+
+    afterEach(() => {
+      Todo.invalidates = {}
+    })
+
+    beforeEach(async () => {
+      fetch.mockResponseOnce(JSON.stringify({ data: [mockTodoData.data] }))
+      await store.fetchAll('todos')
+      fetch.mockResponseOnce(JSON.stringify({ data: [{ id: '1', type: 'categories', attributes: {} }] }))
+      await store.fetchAll('categories')
+      fetch.mockResponse((request) => {
+        const id = request.url.match(/users\/(\d+)/)[1]
+        return Promise.resolve(JSON.stringify({ data: { id, type: 'users', attributes: {} } }))
+      })
+      await store.fetchOne('users', '5', { queryParams: { include: 'todos' } })
+      await store.fetchOne('users', '6', { queryParams: { include: 'todos' } })
+      fetch.resetMocks()
+    })
+
+    it('applies the create rules after a new record is saved', async () => {
+      Todo.invalidates = {
+        create: ['todos', { type: 'users', id: userId, include: 'todos' }]
+      }
+      fetch.mockResponse(JSON.stringify({ data: { id: '2', type: 'todos', attributes: { title: 'Buy Milk' } } }))
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      todo.user = store.add('users', { id: '5' })
+
+      await todo.save({ skip_validations: true })
+
+      expect(Array.from(store.data.todos.invalidated)).toEqual(['/example_api/todos'])
+      expect(Array.from(store.data.users.invalidated)).toEqual(['/example_api/users/5?include=todos'])
+      expect(store.data.categories.invalidated.size).toEqual(0)
+    })
+
+    it('applies the update rules after a persisted record is saved', async () => {
+      Todo.invalidates = { create: ['todos'], update: ['categories'] }
+      fetch.mockResponse(mockTodoResponse)
+      const todo = store.getOne('todos', '1')
+      todo.title = 'Do more taxes'
+
+      await todo.save({ skip_validations: true })
+
+      expect(store.data.todos.invalidated.size).toEqual(0)
+      expect(store.data.categories.invalidated.size).toEqual(1)
+    })
+
+    it('applies the destroy rules after a record is destroyed', async () => {
+      Todo.invalidates = { destroy: [({ type }) => type === 'users'] }
+      fetch.mockResponse('', { status: 204 })
+
+      await store.getOne('todos', '1').destroy()
+
+      expect(store.data.users.invalidated.size).toEqual(2)
+    })
+
+    it('skips rules whose id is missing', async () => {
+      Todo.invalidates = { create: [{ type: 'users', id: userId }] }
+      fetch.mockResponse(JSON.stringify({ data: { id: '2', type: 'todos', attributes: {} } }))
+
+      await store.add('todos', { title: 'Buy Milk' }).save({ skip_validations: true })
+
+      expect(store.data.users.invalidated.size).toEqual(0)
+    })
+  })
+
   describe('.reload', () => {
     describe('with a persisted model', () => {
       it('reloads data from server', async () => {
@@ -1552,6 +1889,296 @@ describe('Model', () => {
     })
   })
 
+  describe('.fetchRelated', () => {
+    const mockNotesResponse = JSON.stringify({
+      data: [
+        { id: '10', type: 'notes', attributes: { description: 'Receipts' } },
+        { id: '11', type: 'notes', attributes: { description: 'Forms' } }
+      ],
+      links: { next: '/example_api/todos/1/notes?page[number]=2' }
+    })
+
+    it('follows the related link of the relationship', async () => {
+      store.createOrUpdateModelFromData({
+        ...mockTodoData.data,
+        relationships: { notes: { links: { related: 'https://example.com/todos/1/notes' } } }
+      })
+      const todo = store.getOne('todos', '1')
+      fetch.mockResponseOnce(mockNotesResponse)
+
+      const notes = await todo.fetchRelated('notes', { queryParams: { page: { size: 2 } } })
+
+      expect(decodeURIComponent(fetch.mock.calls[0][0])).toEqual('https://example.com/todos/1/notes?page[size]=2')
+      expect(notes.map(({ id }) => id)).toEqual(['10', '11'])
+      expect(notes.links.next).toEqual('/example_api/todos/1/notes?page[number]=2')
+      expect(todo.notes.map(({ id }) => id)).toEqual(['10', '11'])
+      expect(todo.relationships.notes.links.related).toEqual('https://example.com/todos/1/notes')
+    })
+
+    it('adds each page to the relationship', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(mockNotesResponse)
+      fetch.mockResponseOnce(JSON.stringify({
+        data: [{ id: '12', type: 'notes', attributes: { description: 'Stamps' } }],
+        links: { prev: '/example_api/todos/1/notes?page[number]=1', next: null }
+      }))
+
+      await todo.fetchRelated('notes', { queryParams: { page: { number: 1, size: 2 } } })
+      const page = await todo.fetchRelated('notes', { queryParams: { page: { number: 2, size: 2 } } })
+
+      expect(page.map(({ id }) => id)).toEqual(['12'])
+      expect(todo.notes.map(({ id }) => id)).toEqual(['10', '11', '12'])
+      expect(todo.isDirty).toBe(false)
+    })
+
+    it('replaces the relationship when it is not paginated', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(JSON.stringify({ data: [{ id: '10', type: 'notes', attributes: { description: 'Receipts' } }] }))
+      fetch.mockResponseOnce(JSON.stringify({ data: [{ id: '11', type: 'notes', attributes: { description: 'Forms' } }] }))
+
+      await todo.fetchRelated('notes')
+      await todo.fetchRelated('notes')
+
+      expect(todo.notes.map(({ id }) => id)).toEqual(['11'])
+    })
+
+    it('falls back to the endpoint of the record', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(JSON.stringify({ data: { id: '5', type: 'users', attributes: { name: 'Ann' } } }))
+
+      const user = await todo.fetchRelated('user')
+
+      expect(fetch.mock.calls[1][0]).toEqual('/example_api/todos/1/user')
+      expect(user.id).toEqual('5')
+      expect(todo.user).toBe(user)
+    })
+
+    it('does not make the relationship or the record dirty', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      todo.title = 'Changed'
+      fetch.mockResponseOnce(mockNotesResponse)
+
+      await todo.fetchRelated('notes')
+
+      expect(todo.dirtyRelationships.size).toEqual(0)
+      expect(Array.from(todo.dirtyAttributes)).toEqual(['title'])
+      todo.rollback()
+      expect(todo.notes).toHaveLength(2)
+    })
+
+    it('marks the relationship as loaded', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(mockNotesResponse)
+
+      await todo.fetchRelated('notes')
+
+      expect(todo.isIncludeLoaded('notes')).toBe(true)
+    })
+
+    it('rejects with the errors of the response', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(JSON.stringify({}), { status: 404 })
+
+      await expect(todo.fetchRelated('notes')).rejects.toThrow('404')
+    })
+  })
+
+  describe('.fetchRelationship', () => {
+    it('updates the linkage from the self link without loading the records', async () => {
+      store.createOrUpdateModelFromData({
+        ...mockTodoData.data,
+        relationships: { notes: { links: { self: { href: '/example_api/todos/1/relationships/notes' } } } }
+      })
+      const todo = store.getOne('todos', '1')
+      fetch.mockResponseOnce(JSON.stringify({ data: [{ id: '10', type: 'notes' }], meta: { count: 1 } }))
+
+      await todo.fetchRelationship('notes')
+
+      expect(fetch.mock.calls[0][0]).toEqual('/example_api/todos/1/relationships/notes')
+      expect(todo.relationships.notes.data).toEqual([{ id: '10', type: 'notes' }])
+      expect(todo.relationships.notes.meta).toEqual({ count: 1 })
+      expect(todo.isDirty).toBe(false)
+    })
+
+    it('adds each page to the linkage', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(JSON.stringify({ data: [{ id: '10', type: 'notes' }], links: { next: '/example_api/todos/1/relationships/notes?page[number]=2' } }))
+      fetch.mockResponseOnce(JSON.stringify({ data: [{ id: '11', type: 'notes' }], links: { prev: '/example_api/todos/1/relationships/notes?page[number]=1' } }))
+
+      await todo.fetchRelationship('notes')
+      await todo.fetchRelationship('notes', { queryParams: { page: { number: 2 } } })
+
+      expect(todo.relationships.notes.data).toEqual([{ id: '10', type: 'notes' }, { id: '11', type: 'notes' }])
+    })
+
+    it('falls back to the relationship endpoint of the record', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(JSON.stringify({ data: null }))
+
+      await todo.fetchRelationship('user')
+
+      expect(fetch.mock.calls[1][0]).toEqual('/example_api/todos/1/relationships/user')
+      expect(todo.relationships.user.data).toBeNull()
+    })
+  })
+
+  describe('relationship endpoints', () => {
+    const mockErrorResponse = JSON.stringify({ errors: [{ status: '500', detail: 'Oops' }] })
+    let todo, note1, note2
+
+    beforeEach(() => {
+      todo = store.add('todos', { id: '1', title: 'Buy Milk' })
+      note1 = store.add('notes', { id: '10', description: 'Oat milk' })
+      note2 = store.add('notes', { id: '11', description: 'Soy milk' })
+      todo.notes = [note1]
+      ;[todo, note1, note2].forEach((record) => record.takeSnapshot({ persisted: true }))
+      fetch.mockResponse('', { status: 204 })
+    })
+
+    /**
+     * Returns the url, method and data of the last request
+     *
+     * @returns {object} { url, method, data }
+     */
+    const lastRequest = () => {
+      const [url, { method, body }] = fetch.mock.calls[fetch.mock.calls.length - 1]
+      return { url, method, data: JSON.parse(body).data }
+    }
+
+    describe('.saveRelationship', () => {
+      it('sends added members with POST', async () => {
+        todo.notes.add(note2)
+        await todo.saveRelationship('notes')
+
+        expect(lastRequest()).toEqual({ url: '/example_api/todos/1/relationships/notes', method: 'POST', data: [{ id: '11', type: 'notes' }] })
+      })
+
+      it('sends removed members with DELETE', async () => {
+        todo.notes.remove(note1)
+        await todo.saveRelationship('notes')
+
+        expect(lastRequest()).toEqual({ url: '/example_api/todos/1/relationships/notes', method: 'DELETE', data: [{ id: '10', type: 'notes' }] })
+      })
+
+      it('replaces the relationship with PATCH when members were added and removed', async () => {
+        todo.notes.replace([note2])
+        await todo.saveRelationship('notes')
+
+        expect(lastRequest()).toEqual({ url: '/example_api/todos/1/relationships/notes', method: 'PATCH', data: [{ id: '11', type: 'notes' }] })
+      })
+
+      it('sends a to-one relationship with PATCH', async () => {
+        note1.todo = null
+        await note1.saveRelationship('todo')
+
+        expect(lastRequest()).toEqual({ url: '/example_api/notes/10/relationships/todo', method: 'PATCH', data: null })
+      })
+
+      it('persists only that relationship and its inverse', async () => {
+        todo.title = 'Buy Oat Milk'
+        todo.notes.add(note2)
+        await todo.saveRelationship('notes')
+
+        expect(todo.dirtyRelationships.size).toEqual(0)
+        expect(todo.hasUnpersistedChanges).toBe(true)
+        expect(todo.persistedOrFirstSnapshot.attributes.title).toEqual('Buy Milk')
+        expect(note2.isDirty).toBe(false)
+      })
+
+      it('uses the linkage from the response', async () => {
+        fetch.mockResponse(JSON.stringify({ data: [{ id: '10', type: 'notes' }, { id: '11', type: 'notes' }, { id: '12', type: 'notes' }] }))
+        todo.notes.add(note2)
+        await todo.saveRelationship('notes')
+
+        expect(todo.relationships.notes.data.map(({ id }) => id)).toEqual(['10', '11', '12'])
+        expect(todo.isDirty).toBe(false)
+      })
+
+      it('does nothing if the relationship is not dirty', async () => {
+        await todo.saveRelationship('notes')
+
+        expect(fetch).not.toHaveBeenCalled()
+      })
+
+      it('keeps the change if the request fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        todo.notes.add(note2)
+
+        await expect(todo.saveRelationship('notes')).rejects.toThrow('Oops')
+        expect(todo.dirtyRelationships.has('notes')).toBe(true)
+      })
+
+      it('rejects for a new record', async () => {
+        const newTodo = store.add('todos', { title: 'New' })
+        newTodo.notes.add(note2)
+
+        await expect(newTodo.saveRelationship('notes')).rejects.toThrow('tried to save a relationship of an unpersisted record')
+      })
+    })
+
+    describe('.rollbackRelationship', () => {
+      it('reverts only that relationship', () => {
+        todo.title = 'Buy Oat Milk'
+        todo.notes.add(note2)
+
+        todo.rollbackRelationship('notes')
+
+        expect(todo.notes.map(({ id }) => id)).toEqual(['10'])
+        expect(note2.todo).toBeUndefined()
+        expect(todo.title).toEqual('Buy Oat Milk')
+      })
+    })
+
+    describe('persist', () => {
+      it('saves an added record through the relationship endpoint', async () => {
+        await todo.notes.add(note2, { persist: true })
+
+        expect(lastRequest().method).toEqual('POST')
+        expect(todo.isDirty).toBe(false)
+      })
+
+      it('saves a replaced relationship with PATCH', async () => {
+        await todo.notes.replace([note1, note2], { persist: true })
+
+        expect(lastRequest()).toEqual({
+          url: '/example_api/todos/1/relationships/notes',
+          method: 'PATCH',
+          data: [{ id: '10', type: 'notes' }, { id: '11', type: 'notes' }]
+        })
+      })
+
+      it('rolls back the relationship and its inverse if the request fails', async () => {
+        fetch.mockResponse(mockErrorResponse, { status: 500 })
+        todo.title = 'Buy Oat Milk'
+
+        await expect(todo.notes.remove(note1, { persist: true })).rejects.toThrow('Oops')
+
+        expect(todo.notes.map(({ id }) => id)).toEqual(['10'])
+        expect(note1.todo).toBe(todo)
+        expect(todo.title).toEqual('Buy Oat Milk')
+      })
+    })
+  })
+
+  describe('links in relationships', () => {
+    it('keeps the loaded linkage when a relationship only has links', async () => {
+      store.createOrUpdateModelFromData({ ...mockTodoData.data, relationships: { notes: { data: [{ id: '10', type: 'notes' }] } } })
+      store.createOrUpdateModelFromData({ ...mockTodoData.data, relationships: { notes: { links: { related: '/example_api/todos/1/notes' } } } })
+
+      const todo = store.getOne('todos', '1')
+      expect(todo.relationships.notes.data).toEqual([{ id: '10', type: 'notes' }])
+      expect(todo.relationships.notes.links.related).toEqual('/example_api/todos/1/notes')
+    })
+  })
+
   describe('.destroy', () => {
     it('makes request and removes model from the store', async () => {
       fetch.mockResponses([JSON.stringify({}), { status: 204 }])
@@ -0,0 +1,321 @@
+/* eslint-disable jsdoc/require-jsdoc */
+/* global fetch */
+
+import { Model, Store } from '../src/main'
+import { stringType } from '../src/utils'
+import { MemoryStorage } from '../src/storage'
+
+class Note extends Model {
+  static type = 'notes'
+  static endpoint = 'notes'
+
+  static attributeDefinitions = {
+    text: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+
+  static relationshipDefinitions = {
+    todo: {
+      direction: 'toOne',
+      inverse: {
+        name: 'notes',
+        direction: 'toMany'
+      }
+    }
+  }
+}
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+
+  static relationshipDefinitions = {
+    notes: {
+      direction: 'toMany',
+      inverse: {
+        name: 'todo',
+        direction: 'toOne'
+      }
+    }
+  }
+}
+
+class AppStore extends Store {
+  static models = [Note, Todo]
+}
+
+// echoes the request body back, giving new records the next id
+const mockServer = () => {
+  let nextId = 100
+  return async (request) => {
+    if (request.method === 'DELETE') return { status: 204, body: '' }
+    const { data } = JSON.parse(await request.text())
+    const id = request.method === 'POST' ? String(nextId++) : data.id
+    return { status: request.method === 'POST' ? 201 : 200, body: JSON.stringify({ data: { ...data, id } }) }
+  }
+}
+
+const requestBody = (i) => JSON.parse(fetch.mock.calls[i][1].body)
+
+describe('MutationQueue', () => {
+  let store, storage
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    storage = new MemoryStorage()
+    store = new AppStore({ baseUrl: '/example_api', offlineOptions: { enabled: true, storage } })
+  })
+
+  it('is disabled by default', async () => {
+    store = new AppStore({ baseUrl: '/example_api' })
+    fetch.mockReject(new TypeError('Failed to fetch'))
+    const todo = store.add('todos', { title: 'Buy Milk' })
+
+    await expect(todo.save()).rejects.toThrow('Failed to fetch')
+    expect(store.mutationQueue.mutations).toHaveLength(0)
+    expect(store.mutationQueue.isOnline).toBe(true)
+  })
+
+  it('queues saves while offline', async () => {
+    store.mutationQueue.setOnline(false)
+    const todo = store.add('todos', { title: 'Buy Milk' })
+
+    expect(await todo.save()).toBe(todo)
+    expect(fetch.mock.calls).toHaveLength(0)
+    expect(store.mutationQueue.mutations).toEqual([
+      expect.objectContaining({ type: 'todos', id: todo.id, method: 'POST', url: '/example_api/todos' })
+    ])
+    expect(JSON.parse(storage.getItem('mutationQueue'))).toHaveLength(1)
+  })
+
+  it('goes offline and queues a save when the server cannot be reached', async () => {
+    fetch.mockReject(new TypeError('Failed to fetch'))
+    const todo = store.add('todos', { title: 'Buy Milk' })
+
+    await todo.save()
+
+    expect(store.mutationQueue.isOnline).toBe(false)
+    expect(store.mutationQueue.mutations).toHaveLength(1)
+    expect(todo.isInFlight).toBe(false)
+    expect(todo.errors).toEqual({})
+  })
+
+  it('only creates a new record once when it is saved again', async () => {
+    store.mutationQueue.setOnline(false)
+    const todo = store.add('todos', { title: 'Buy Milk' })
+
+    await todo.save()
+    todo.title = 'Buy Oat Milk'
+    await todo.save()
+
+    expect(store.mutationQueue.mutations).toHaveLength(1)
+    expect(JSON.parse(store.mutationQueue.mutations[0].body).data.attributes.title).toEqual('Buy Oat Milk')
+  })
+
+  it('follows the connectivity of the browser until the store is disposed', () => {
+    window.dispatchEvent(new Event('offline'))
+    expect(store.mutationQueue.isOnline).toBe(false)
+
+    store.dispose()
+    window.dispatchEvent(new Event('online'))
+
+    expect(store.mutationQueue.isOnline).toBe(false)
+  })
+
+  describe('replay', () => {
+    it('sends the queued mutations in order when back online', async () => {
+      fetch.mockResponse(mockServer())
+      store.mutationQueue.setOnline(false)
+
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      await todo.save()
+      const persisted = store.add('todos', { id: '1', title: 'Pet Dog' })
+      persisted.title = 'Walk Dog'
+      await persisted.save()
+      await persisted.destroy()
+
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(fetch.mock.calls.map(([url, { method }]) => `${method} ${url}`)).toEqual([
+        'POST /example_api/todos',
+        'PATCH /example_api/todos/1',
+        'DELETE /example_api/todos/1'
+      ])
+      expect(store.mutationQueue.mutations).toHaveLength(0)
+      expect(JSON.parse(storage.getItem('mutationQueue'))).toEqual([])
+    })
+
+    it('updates records from the responses', async () => {
+      fetch.mockResponse(mockServer())
+      store.mutationQueue.setOnline(false)
+
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      await todo.save()
+      expect(todo.isNew).toBe(true)
+
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(todo.id).toEqual('100')
+      expect(todo.isNew).toBe(false)
+      expect(todo.isDirty).toBe(false)
+      expect(store.getOne('todos', '100')).toBe(todo)
+    })
+
+    it('rewrites tmp ids in later mutations', async () => {
+      fetch.mockResponse(mockServer())
+      store.mutationQueue.setOnline(false)
+
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      await todo.save()
+      const note = store.add('notes', { text: 'Oat milk' })
+      note.todo = todo
+      await note.save({ relationships: ['todo'] })
+
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(requestBody(1).data.relationships.todo.data).toEqual({ id: '100', type: 'todos' })
+      expect(note.id).toEqual('101')
+    })
+
+    it('drops a mutation the server rejects and carries on', async () => {
+      const onFailure = jest.fn()
+      store.on('mutationFailed', onFailure)
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ status: '422', detail: 'Invalid' }] }), { status: 422 })
+      fetch.mockResponseOnce(mockServer())
+      store.mutationQueue.setOnline(false)
+
+      const todo1 = store.add('todos', { title: 'Buy Milk' })
+      await todo1.save()
+      const todo2 = store.add('todos', { title: 'Pet Dog' })
+      await todo2.save()
+
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(onFailure).toHaveBeenCalledTimes(1)
+      expect(onFailure.mock.calls[0][0].mutation.id).toEqual(todo1.id)
+      expect(todo1.isNew).toBe(true)
+      expect(todo2.isNew).toBe(false)
+      expect(store.mutationQueue.mutations).toHaveLength(0)
+    })
+
+    it('drops the mutations that refer to a new record whose create was rejected', async () => {
+      const onFailure = jest.fn()
+      store.on('mutationFailed', onFailure)
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ status: '422', detail: 'Invalid' }] }), { status: 422 })
+      fetch.mockResponse(mockServer())
+      store.mutationQueue.setOnline(false)
+
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      await todo.save()
+      const note = store.add('notes', { text: 'Oat milk' })
+      note.todo = todo
+      await note.save({ relationships: ['todo'] })
+      const other = store.add('todos', { title: 'Pet Dog' })
+      await other.save()
+
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(fetch.mock.calls.map(([url, { method }]) => `${method} ${url}`)).toEqual([
+        'POST /example_api/todos',
+        'POST /example_api/todos'
+      ])
+      expect(onFailure.mock.calls.map(([{ mutation }]) => mutation.id)).toEqual([todo.id, note.id])
+      expect(other.isNew).toBe(false)
+      expect(store.mutationQueue.mutations).toHaveLength(0)
+    })
+
+    it('keeps a mutation and goes offline if the server responds with a transient error', async () => {
+      const onFailure = jest.fn()
+      store.on('mutationFailed', onFailure)
+      fetch.mockResponse('', { status: 503 })
+      store.mutationQueue.setOnline(false)
+
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      await todo.save()
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(onFailure).not.toHaveBeenCalled()
+      expect(store.mutationQueue.isOnline).toBe(false)
+      expect(store.mutationQueue.mutations).toEqual([expect.objectContaining({ id: todo.id, method: 'POST' })])
+      expect(todo.isNew).toBe(true)
+    })
+
+    it('stops and goes offline again if the server cannot be reached', async () => {
+      fetch.mockReject(new TypeError('Failed to fetch'))
+      store.mutationQueue.setOnline(false)
+
+      await store.add('todos', { title: 'Buy Milk' }).save()
+      store.mutationQueue.setOnline(true)
+      await store.mutationQueue.replay()
+
+      expect(store.mutationQueue.isOnline).toBe(false)
+      expect(store.mutationQueue.mutations).toHaveLength(1)
+    })
+
+    it('restores the queue persisted by a previous session', async () => {
+      store.mutationQueue.setOnline(false)
+      await store.add('todos', { title: 'Buy Milk' }).save()
+
+      fetch.mockResponse(mockServer())
+      const nextSession = new AppStore({ baseUrl: '/example_api', offlineOptions: { enabled: true, storage } })
+      await nextSession.mutationQueue.restore()
+
+      expect(fetch.mock.calls).toHaveLength(1)
+      expect(nextSession.mutationQueue.mutations).toHaveLength(0)
+    })
+  })
+
+  describe('destroy', () => {
+    it('removes the record right away and queues the delete', async () => {
+      store.mutationQueue.setOnline(false)
+      const todo = store.add('todos', { id: '1', title: 'Buy Milk' })
+
+      await todo.destroy()
+
+      expect(store.getOne('todos', '1')).toBeUndefined()
+      expect(store.mutationQueue.mutations).toEqual([
+        expect.objectContaining({ type: 'todos', id: '1', method: 'DELETE' })
+      ])
+    })
+
+    it('does not leave a queued optimistic destroy pending', async () => {
+      const todo = store.add('todos', { id: '1', title: 'Buy Milk' })
+      store.mutationQueue.setOnline(false)
+      await todo.destroy({ optimistic: true, skipRemove: true })
+
+      expect(todo.isPendingDestroy).toBe(false)
+      expect(store.getAll('todos')).toEqual([todo])
+
+      fetch.mockReject(new TypeError('Failed to fetch'))
+      store.mutationQueue.setOnline(true)
+      await todo.destroy({ optimistic: true, skipRemove: true })
+
+      expect(todo.isPendingDestroy).toBe(false)
+    })
+
+    it('discards the queued create of a new record', async () => {
+      store.mutationQueue.setOnline(false)
+      const todo = store.add('todos', { title: 'Buy Milk' })
+
+      await todo.save()
+      todo.destroy()
+
+      expect(store.mutationQueue.mutations).toHaveLength(0)
+    })
+  })
+})
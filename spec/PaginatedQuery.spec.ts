@@ -0,0 +1,259 @@
+/* eslint-disable jsdoc/require-jsdoc */
+/* global fetch */
+
+import { Model, PaginatedQuery, Store } from '../src/main'
+import { stringType } from '../src/utils'
+import { paginationStrategies } from '../src/PaginatedQuery'
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+}
+
+class AppStore extends Store {
+  static models = [Todo]
+}
+
+const mockTodosPage = (ids, links) => JSON.stringify({
+  data: ids.map((id) => ({ id: String(id), type: 'todos', attributes: { title: `Todo ${id}` } })),
+  links
+})
+
+const requestedUrl = (i) => decodeURIComponent(fetch.mock.calls[i][0])
+
+describe('PaginatedQuery', () => {
+  let store
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    store = new AppStore({ baseUrl: '/example_api' })
+  })
+
+  it('is returned by store.paginate', () => {
+    expect(store.paginate('todos')).toBeInstanceOf(PaginatedQuery)
+  })
+
+  it('returns the same query for the same params', () => {
+    const queryParams = { filter: { overdue: true } }
+    expect(store.paginate('todos', { queryParams })).toBe(store.paginate('todos', { queryParams }))
+    expect(store.paginate('todos', { queryParams })).not.toBe(store.paginate('todos'))
+  })
+
+  it('returns another query for another strategy or page size', () => {
+    const query = store.paginate('todos', { pageSize: 10 })
+    expect(store.paginate('todos', { pageSize: 10 })).toBe(query)
+    expect(store.paginate('todos', { pageSize: 25 }).pageSize).toEqual(25)
+    expect(store.paginate('todos', { pageSize: 10, strategy: 'offset' })).not.toBe(query)
+  })
+
+  it('throws for an unknown strategy', () => {
+    expect(() => store.paginate('todos', { strategy: 'pigeon' })).toThrow("Unknown pagination strategy 'pigeon'")
+  })
+
+  it('returns the page being loaded to concurrent calls', async () => {
+    fetch.mockResponseOnce(mockTodosPage([1, 2]))
+    fetch.mockResponseOnce(mockTodosPage([3]))
+    const warn = jest.spyOn(console, 'warn')
+
+    const query = store.paginate('todos', { pageSize: 2 })
+    const [first, second] = await Promise.all([query.fetchNextPage(), query.fetchNextPage()])
+
+    expect(first).toBe(second)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(query.pages.map(({ params }) => params)).toEqual([{ number: 1, size: 2 }])
+    expect(warn).not.toHaveBeenCalled()
+    warn.mockRestore()
+
+    await query.fetchNextPage()
+    expect(query.records.map(({ id }) => id)).toEqual(['1', '2', '3'])
+  })
+
+  it('does not return the page being loaded to a call for the other direction', async () => {
+    fetch.mockResponseOnce(mockTodosPage([3, 4], { next: '/example_api/todos?page[number]=3', prev: '/example_api/todos?page[number]=1' }))
+    const query = store.paginate('todos', { pageSize: 2 })
+    await query.fetchNextPage()
+
+    fetch.mockResponseOnce(mockTodosPage([5, 6], {}))
+    fetch.mockResponseOnce(mockTodosPage([1, 2], {}))
+    const [next, previous] = await Promise.all([query.fetchNextPage(), query.fetchPreviousPage()])
+
+    expect(next.map(({ id }) => id)).toEqual(['5', '6'])
+    expect(previous.map(({ id }) => id)).toEqual(['1', '2'])
+    expect(query.records.map(({ id }) => id)).toEqual(['1', '2', '3', '4', '5', '6'])
+    expect(query.isLoading).toBe(false)
+  })
+
+  describe('with the pageNumber strategy', () => {
+    it('fetches pages by number', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1, 2]))
+      fetch.mockResponseOnce(mockTodosPage([3]))
+
+      const query = store.paginate('todos', { pageSize: 2, queryParams: { filter: { overdue: true } } })
+      await query.fetchNextPage()
+      expect(query.hasNextPage).toBe(true)
+      await query.fetchNextPage()
+
+      expect(requestedUrl(0)).toEqual('/example_api/todos?filter[overdue]=true&page[number]=1&page[size]=2')
+      expect(requestedUrl(1)).toEqual('/example_api/todos?filter[overdue]=true&page[number]=2&page[size]=2')
+      expect(query.records.map(({ id }) => id)).toEqual(['1', '2', '3'])
+      expect(query.hasNextPage).toBe(false)
+    })
+
+    it('does not fetch past the last page', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1]))
+
+      const query = store.paginate('todos', { pageSize: 2 })
+      await query.fetchNextPage()
+      const records = await query.fetchNextPage()
+
+      expect(records).toEqual([])
+      expect(fetch.mock.calls).toHaveLength(1)
+    })
+  })
+
+  describe('with the offset strategy', () => {
+    it('fetches pages by offset and limit', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1, 2]))
+      fetch.mockResponseOnce(mockTodosPage([3, 4]))
+
+      const query = store.paginate('todos', { strategy: 'offset', pageSize: 2 })
+      await query.fetchNextPage()
+      await query.fetchNextPage()
+
+      expect(requestedUrl(0)).toEqual('/example_api/todos?page[offset]=0&page[limit]=2')
+      expect(requestedUrl(1)).toEqual('/example_api/todos?page[offset]=2&page[limit]=2')
+      expect(query.hasPreviousPage).toBe(false)
+    })
+  })
+
+  describe('with the cursor strategy', () => {
+    it('uses the last id as the cursor', async () => {
+      fetch.mockResponseOnce(mockTodosPage([5, 9]))
+      fetch.mockResponseOnce(mockTodosPage([12]))
+
+      const query = store.paginate('todos', { strategy: 'cursor', pageSize: 2 })
+      await query.fetchNextPage()
+      await query.fetchNextPage()
+
+      expect(requestedUrl(0)).toEqual('/example_api/todos?page[size]=2')
+      expect(requestedUrl(1)).toEqual('/example_api/todos?page[size]=2&page[after]=9')
+    })
+
+    it('uses the first id as the cursor for previous pages', () => {
+      const page = { params: { size: 2, after: '9' }, ids: ['12', '15'] }
+      expect(paginationStrategies.cursor.previous(page)).toEqual({ size: 2, before: '12' })
+    })
+  })
+
+  describe('with links', () => {
+    it('follows the next link', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1, 2], { next: '/example_api/todos?page[cursor]=abc' }))
+      fetch.mockResponseOnce(mockTodosPage([3, 4], { prev: '/example_api/todos?page[cursor]=xyz' }))
+
+      const query = store.paginate('todos', { pageSize: 2 })
+      await query.fetchNextPage()
+      expect(query.links).toEqual({ next: '/example_api/todos?page[cursor]=abc' })
+      await query.fetchNextPage()
+
+      expect(requestedUrl(1)).toEqual('/example_api/todos?page[cursor]=abc')
+      expect(query.hasNextPage).toBe(false)
+    })
+
+    it('follows a link to another path', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1, 2], { next: { href: 'https://archive.example.com/todos?page[number]=2' } }))
+      fetch.mockResponseOnce(mockTodosPage([3], {}))
+
+      const query = store.paginate('todos', { pageSize: 2 })
+      await query.fetchNextPage()
+      await query.fetchNextPage()
+
+      expect(requestedUrl(1)).toEqual('https://archive.example.com/todos?page[number]=2')
+      expect(query.pages[1].params).toEqual({ number: '2' })
+      expect(query.records.map(({ id }) => id)).toEqual(['1', '2', '3'])
+    })
+
+    it('follows the prev link and prepends the page', async () => {
+      fetch.mockResponseOnce(mockTodosPage([3, 4], { prev: '/example_api/todos?page[number]=1' }))
+      fetch.mockResponseOnce(mockTodosPage([1, 2], {}))
+
+      const query = store.paginate('todos', { pageSize: 2 })
+      await query.fetchNextPage()
+      expect(query.hasPreviousPage).toBe(true)
+      await query.fetchPreviousPage()
+
+      expect(requestedUrl(1)).toEqual('/example_api/todos?page[number]=1')
+      expect(query.records.map(({ id }) => id)).toEqual(['1', '2', '3', '4'])
+      expect(query.hasPreviousPage).toBe(false)
+    })
+  })
+
+  describe('caching', () => {
+    it('caches all loaded pages under a single key', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1, 2]))
+      fetch.mockResponseOnce(mockTodosPage([3]))
+
+      const query = store.paginate('todos', { pageSize: 2 })
+      await query.fetchNextPage()
+      await query.fetchNextPage()
+
+      expect([...store.data.todos.cache.keys()]).toEqual(['/example_api/todos#paginated:pageNumber:2'])
+      expect(store.getCachedIds('todos', query.cacheKey)).toEqual(['1', '2', '3'])
+    })
+
+    it('forgets paginated queries when the cache is cleared', () => {
+      const query = store.paginate('todos')
+      store.clearCache('todos')
+      expect(store.paginate('todos')).not.toBe(query)
+    })
+  })
+
+  describe('async iteration', () => {
+    it('walks every page', async () => {
+      fetch.mockResponseOnce(mockTodosPage([1, 2]))
+      fetch.mockResponseOnce(mockTodosPage([3, 4]))
+      fetch.mockResponseOnce(mockTodosPage([5]))
+
+      const query = store.paginate('todos', { pageSize: 2 })
+      await query.fetchNextPage()
+
+      const pages = []
+      for await (const page of query) {
+        pages.push(page.map(({ id }) => id))
+      }
+
+      expect(pages).toEqual([['1', '2'], ['3', '4'], ['5']])
+      expect(fetch.mock.calls).toHaveLength(3)
+    })
+  })
+
+  it('keeps the error of the last page', async () => {
+    fetch.mockResponseOnce(JSON.stringify({ errors: [{ detail: 'Oops', status: 500 }] }), { status: 500 })
+    fetch.mockResponseOnce(mockTodosPage([1]))
+
+    const query = store.paginate('todos')
+    await expect(query.fetchNextPage()).rejects.toThrow('Oops')
+
+    expect(query.error).toMatchObject({ url: query.store.fetchUrl('todos', { page: { number: 1, size: 20 } }), status: 500 })
+    expect(store.errorFor('todos')).toBe(query.error)
+
+    await query.fetchNextPage()
+    expect(query.error).toBeUndefined()
+  })
+
+  it('tracks loading state', async () => {
+    fetch.mockResponseOnce(mockTodosPage([1]))
+
+    const query = store.paginate('todos')
+    const promise = query.fetchNextPage()
+    expect(query.isLoading).toBe(true)
+    await promise
+    expect(query.isLoading).toBe(false)
+  })
+})
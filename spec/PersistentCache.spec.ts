@@ -0,0 +1,243 @@
+/* eslint-disable jsdoc/require-jsdoc */
+/* global fetch */
+
+import { Model, Store, schemaVersion } from '../src/main'
+import { stringType } from '../src/utils'
+import { MemoryStorage } from '../src/storage'
+
+class Note extends Model {
+  static type = 'notes'
+  static endpoint = 'notes'
+
+  static attributeDefinitions = {
+    text: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+}
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+
+  static relationshipDefinitions = {
+    notes: {
+      direction: 'toMany'
+    }
+  }
+}
+
+class RenamedTodo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    name: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+
+  static relationshipDefinitions = Todo.relationshipDefinitions
+}
+
+class AppStore extends Store {
+  static models = [Note, Todo]
+}
+
+class RenamedAppStore extends Store {
+  static models = [Note, RenamedTodo]
+}
+
+const mockTodosResponse = JSON.stringify({
+  data: [
+    { id: '1', type: 'todos', attributes: { title: 'Do taxes' } },
+    { id: '2', type: 'todos', attributes: { title: 'Sort pills' } }
+  ]
+})
+
+const mockNotesResponse = JSON.stringify({
+  data: [{ id: '1', type: 'notes', attributes: { text: 'Receipts' } }]
+})
+
+const persisted = (storage) => JSON.parse(storage.getItem('store'))
+
+describe('PersistentCache', () => {
+  let storage
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    storage = new MemoryStorage()
+  })
+
+  const createStore = (options = {}, StoreKlass = AppStore) => {
+    return new StoreKlass({ baseUrl: '/example_api', persistenceOptions: { enabled: true, storage, delay: 0, ...options } })
+  }
+
+  it('is disabled by default', async () => {
+    const store = new AppStore({ baseUrl: '/example_api' })
+    await store.persistentCache.restore()
+    fetch.mockResponse(mockTodosResponse)
+    await store.fetchAll('todos')
+
+    expect(store.persistentCache.enabled).toBe(false)
+    expect(store.persistentCache.storage.items.size).toEqual(0)
+  })
+
+  it('writes the state through to the storage with the schema versions', async () => {
+    const store = createStore()
+    await store.persistentCache.restore()
+
+    fetch.mockResponse(mockTodosResponse)
+    await store.fetchAll('todos')
+
+    const doc = persisted(storage)
+    expect(doc.versions).toEqual({ todos: schemaVersion(Todo), notes: schemaVersion(Note) })
+    expect(doc.data.todos.records.map(({ id }) => id)).toEqual(['1', '2'])
+    expect(doc.data.todos.cache).toEqual({ '/example_api/todos': ['1', '2'] })
+  })
+
+  it('waits for the state to stop changing before writing', async () => {
+    const store = createStore({ delay: 100 })
+    await store.persistentCache.restore()
+    fetch.mockResponse(mockTodosResponse)
+    await store.fetchAll('todos')
+
+    expect(persisted(storage)).toBeNull()
+    await new Promise((resolve) => setTimeout(resolve, 150))
+    expect(persisted(storage).data.todos.records).toHaveLength(2)
+  })
+
+  it('stops writing once the store is disposed', async () => {
+    const store = createStore()
+    await store.persistentCache.restore()
+    store.dispose()
+
+    fetch.mockResponse(mockTodosResponse)
+    await store.fetchAll('todos')
+
+    expect(persisted(storage)).toBeNull()
+  })
+
+  it('writes saved changes, not dirty ones', async () => {
+    const store = createStore()
+    await store.persistentCache.restore()
+    fetch.mockResponse(mockTodosResponse)
+    const [todo] = await store.fetchAll('todos')
+
+    todo.title = 'Pay taxes'
+    expect(persisted(storage).data.todos.records[0].attributes.title).toEqual('Do taxes')
+
+    fetch.mockResponse(JSON.stringify({ data: { id: '1', type: 'todos', attributes: { title: 'Pay taxes' } } }))
+    await todo.save()
+    expect(persisted(storage).data.todos.records[0].attributes.title).toEqual('Pay taxes')
+  })
+
+  it('restores the state when the store is initialized', async () => {
+    const store = createStore()
+    await store.persistentCache.restore()
+    fetch.mockResponse(mockTodosResponse)
+    await store.fetchAll('todos')
+    fetch.resetMocks()
+
+    const nextStore = createStore()
+    expect(nextStore.persistentCache.isRestoring).toBe(true)
+
+    const todos = await nextStore.findAll('todos')
+    expect(todos.map(({ title }) => title)).toEqual(['Do taxes', 'Sort pills'])
+    expect(todos[0].isDirty).toBe(false)
+    expect(await nextStore.findOne('todos', '2')).toBe(todos[1])
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('keeps records loaded while it restores', async () => {
+    storage.setItem('store', JSON.stringify({
+      versions: { todos: schemaVersion(Todo) },
+      data: { todos: { records: [{ id: '1', type: 'todos', attributes: { title: 'Old' } }] } }
+    }))
+    const store = createStore()
+    store.createOrUpdateModelsFromData([{ id: '1', type: 'todos', attributes: { title: 'New' } }])
+
+    await store.persistentCache.restore()
+    expect(store.getOne('todos', '1').title).toEqual('New')
+  })
+
+  it('can be cleared', async () => {
+    const store = createStore()
+    await store.persistentCache.restore()
+    fetch.mockResponse(mockTodosResponse)
+    await store.fetchAll('todos')
+
+    await store.persistentCache.clear()
+    expect(storage.getItem('store')).toBeNull()
+  })
+
+  describe('schema versions', () => {
+    beforeEach(async () => {
+      const store = createStore()
+      await store.persistentCache.restore()
+      fetch.mockResponse(mockTodosResponse)
+      await store.fetchAll('todos')
+      fetch.mockResponse(mockNotesResponse)
+      await store.fetchAll('notes')
+      fetch.resetMocks()
+    })
+
+    it('changes with the definitions', () => {
+      expect(schemaVersion(RenamedTodo)).not.toEqual(schemaVersion(Todo))
+      expect(schemaVersion(Todo)).toEqual(schemaVersion(class extends Todo {}))
+    })
+
+    it('changes with the definition of an attribute', () => {
+      class TransformedTodo extends Todo {
+        static attributeDefinitions = { ...Todo.attributeDefinitions, title: { transformer: (value) => String(value).trim() } }
+      }
+      class DefaultedTodo extends Todo {
+        static attributeDefinitions = { ...Todo.attributeDefinitions, title: { defaultValue: 'New todo' } }
+      }
+
+      expect(schemaVersion(TransformedTodo)).not.toEqual(schemaVersion(Todo))
+      expect(schemaVersion(DefaultedTodo)).not.toEqual(schemaVersion(Todo))
+    })
+
+    it('can be set on the model', () => {
+      class VersionedTodo extends RenamedTodo {
+        static schemaVersion = '2'
+      }
+
+      expect(schemaVersion(VersionedTodo)).toEqual('2')
+    })
+
+    it('discards the data of a changed model without a migration', async () => {
+      const store = createStore({}, RenamedAppStore)
+      await store.persistentCache.restore()
+
+      expect(store.getAll('todos')).toHaveLength(0)
+      expect(store.data.todos.cache.size).toEqual(0)
+      expect(store.getAll('notes')).toHaveLength(1)
+      expect(store.loadedStates.get('todos')).toBeUndefined()
+      expect(store.loadedStates.get('notes').size).toEqual(1)
+    })
+
+    it('migrates the data of a changed model', async () => {
+      const migration = jest.fn((data) => ({
+        ...data,
+        records: data.records.map(({ attributes: { title }, ...record }) => ({ ...record, attributes: { name: title } }))
+      }))
+      const store = createStore({ migrations: { todos: { [schemaVersion(Todo)]: migration } } }, RenamedAppStore)
+      await store.persistentCache.restore()
+
+      expect(migration).toHaveBeenCalledTimes(1)
+      expect(store.getAll('todos').map(({ name }) => name)).toEqual(['Do taxes', 'Sort pills'])
+      expect(store.loadedStates.get('todos').size).toEqual(1)
+    })
+  })
+})
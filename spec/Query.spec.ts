@@ -0,0 +1,150 @@
+/* eslint-disable jsdoc/require-jsdoc */
+/* global fetch */
+
+import { Model, Query, Store } from '../src/main'
+import { stringType } from '../src/utils'
+import { observable, runInAction } from 'mobx'
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+}
+
+class AppStore extends Store {
+  static models = [Todo]
+}
+
+const mockTodosResponse = JSON.stringify({
+  data: [{ id: '1', type: 'todos', attributes: { title: 'Do taxes' } }],
+  meta: { total: 1 }
+})
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('Query', () => {
+  let store
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    store = new AppStore({ baseUrl: '/example_api' })
+  })
+
+  it('is returned by store.query', () => {
+    fetch.mockResponse(mockTodosResponse)
+    expect(store.query('todos')).toBeInstanceOf(Query)
+  })
+
+  it('loads the records', async () => {
+    fetch.mockResponse(mockTodosResponse)
+    const query = store.query('todos', { queryParams: { filter: { overdue: true } } })
+
+    expect(query.isLoading).toBe(true)
+    expect(query.isFetching).toBe(true)
+    expect(query.records).toEqual([])
+
+    await flushPromises()
+
+    expect(query.isLoading).toBe(false)
+    expect(query.isFetching).toBe(false)
+    expect(query.records.map(({ title }) => title)).toEqual(['Do taxes'])
+    expect(query.meta).toEqual({ total: 1 })
+    expect(query.lastFetchedAt).toEqual(expect.any(Number))
+    expect(query.error).toBeNull()
+  })
+
+  it('uses the cache when it can', async () => {
+    fetch.mockResponse(mockTodosResponse)
+    const queryParams = { filter: { overdue: true } }
+    await store.fetchAll('todos', { queryParams })
+
+    const query = store.query('todos', { queryParams })
+
+    expect(query.isFetching).toBe(false)
+    expect(query.records).toHaveLength(1)
+    expect(fetch.mock.calls).toHaveLength(1)
+  })
+
+  it('is fetching but not loading when refetched', async () => {
+    fetch.mockResponse(mockTodosResponse)
+    const query = store.query('todos')
+    await flushPromises()
+
+    const promise = query.refetch()
+    expect(query.isFetching).toBe(true)
+    expect(query.isLoading).toBe(false)
+
+    await promise
+    expect(query.isFetching).toBe(false)
+    expect(fetch.mock.calls).toHaveLength(2)
+  })
+
+  it('exposes errors instead of rejecting', async () => {
+    fetch.mockResponse(JSON.stringify({ errors: [{ detail: 'Nope', status: 403 }] }), { status: 403 })
+    const query = store.query('todos')
+    await flushPromises()
+
+    expect(query.error).toEqual([{ detail: 'Nope', status: 403 }])
+    expect(query.isFetching).toBe(false)
+  })
+
+  it('clears the error when refetching', async () => {
+    fetch.mockResponseOnce('', { status: 500 })
+    fetch.mockResponseOnce(mockTodosResponse)
+    const query = store.query('todos')
+    await flushPromises()
+    expect(query.error).toEqual([{ detail: 'Something went wrong.', status: 500 }])
+
+    await query.refetch()
+    expect(query.error).toBeNull()
+    expect(query.records).toHaveLength(1)
+  })
+
+  it('wraps network failures', async () => {
+    fetch.mockReject(new Error('Failed to fetch'))
+    const query = store.query('todos')
+    await flushPromises()
+
+    expect(query.error).toEqual([{ detail: 'Failed to fetch' }])
+  })
+
+  describe('with queryParams as a function', () => {
+    it('runs again when the observables change', async () => {
+      fetch.mockResponse(mockTodosResponse)
+      const search = observable({ title: 'taxes' })
+      const query = store.query('todos', { queryParams: () => ({ filter: { title: search.title } }) })
+      await flushPromises()
+
+      runInAction(() => {
+        search.title = 'pills'
+      })
+      await flushPromises()
+
+      expect(fetch.mock.calls).toHaveLength(2)
+      expect(decodeURIComponent(fetch.mock.calls[1][0])).toEqual('/example_api/todos?filter[title]=pills')
+      expect(query.queryParams).toEqual({ filter: { title: 'pills' } })
+      query.dispose()
+    })
+
+    it('stops running once disposed', async () => {
+      fetch.mockResponse(mockTodosResponse)
+      const search = observable({ title: 'taxes' })
+      const query = store.query('todos', { queryParams: () => ({ filter: { title: search.title } }) })
+      await flushPromises()
+      query.dispose()
+
+      runInAction(() => {
+        search.title = 'pills'
+      })
+      await flushPromises()
+
+      expect(fetch.mock.calls).toHaveLength(1)
+    })
+  })
+})
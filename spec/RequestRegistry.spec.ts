@@ -0,0 +1,170 @@
+/* global fetch */
+
+import { Model, RequestRegistry, Store } from '../src/main'
+import { stringType } from '../src/utils'
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+}
+
+class AppStore extends Store {
+  static models = [Todo]
+}
+
+const response = { clone: jest.fn(() => 'cloned response') }
+
+describe('RequestRegistry', () => {
+  let registry
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    registry = new RequestRegistry()
+  })
+
+  it('shares one request between identical callers', async () => {
+    const fn = jest.fn(() => Promise.resolve(response))
+    const results = await Promise.all([
+      registry.combine('/todos', { method: 'GET' }, fn),
+      registry.combine('/todos', { method: 'GET' }, fn)
+    ])
+    expect(fn).toHaveBeenCalledTimes(1)
+    expect(results).toEqual(['cloned response', 'cloned response'])
+  })
+
+  it('does not share requests with different bodies', async () => {
+    const fn = jest.fn(() => Promise.resolve(response))
+    await Promise.all([
+      registry.combine('/todos', { method: 'POST', body: '{"a":1}' }, fn),
+      registry.combine('/todos', { method: 'POST', body: '{"a":2}' }, fn)
+    ])
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  it('can be disabled', async () => {
+    registry = new RequestRegistry({ enabled: false })
+    const fn = jest.fn(() => Promise.resolve(response))
+    await Promise.all([
+      registry.combine('/todos', { method: 'GET' }, fn),
+      registry.combine('/todos', { method: 'GET' }, fn)
+    ])
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  describe('keys', () => {
+    /**
+     * Fetch options with an Authorization header
+     *
+     * @param {string} token the token
+     * @returns {object} fetch options
+     */
+    const withHeaders = (token) => ({ method: 'GET', headers: { Authorization: token } })
+
+    it('includes headers by default', async () => {
+      const fn = jest.fn(() => Promise.resolve(response))
+      await Promise.all([
+        registry.combine('/todos', withHeaders('a'), fn),
+        registry.combine('/todos', withHeaders('b'), fn)
+      ])
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+
+    it('can ignore headers', async () => {
+      registry = new RequestRegistry({ key: 'url' })
+      const fn = jest.fn(() => Promise.resolve(response))
+      await Promise.all([
+        registry.combine('/todos', withHeaders('a'), fn),
+        registry.combine('/todos', withHeaders('b'), fn)
+      ])
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+
+    it('can use a custom key', async () => {
+      registry = new RequestRegistry({ key: jest.fn(() => 'everything') })
+      const fn = jest.fn(() => Promise.resolve(response))
+      await Promise.all([
+        registry.combine('/todos', { method: 'GET' }, fn),
+        registry.combine('/notes', { method: 'GET' }, fn)
+      ])
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+
+    it('throws for an unknown key', () => {
+      expect(() => new RequestRegistry({ key: 'color' })).toThrow("Unknown deduplication key 'color'")
+    })
+  })
+
+  describe('stats', () => {
+    it('counts requests in flight and deduplicated requests', async () => {
+      let resolveRequest
+      const fn = jest.fn(() => new Promise((resolve) => { resolveRequest = resolve }))
+
+      const requests = [
+        registry.combine('/todos', { method: 'GET' }, fn),
+        registry.combine('/todos', { method: 'GET' }, fn)
+      ]
+      expect(registry.inFlightCount).toEqual(1)
+      expect(registry.deduplicatedCount).toEqual(1)
+
+      resolveRequest(response)
+      await Promise.all(requests)
+      expect(registry.inFlightCount).toEqual(0)
+      expect(registry.deduplicatedCount).toEqual(1)
+      expect(registry.pending.size).toEqual(0)
+    })
+  })
+
+  describe('cancellation', () => {
+    it('rejects right away if the signal is already aborted', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      const fn = jest.fn()
+      await expect(registry.combine('/todos', {}, fn, controller.signal)).rejects.toThrow('The request was aborted.')
+      expect(fn).not.toHaveBeenCalled()
+    })
+
+    it('aborts the shared request once every caller has cancelled', async () => {
+      let requestSignal
+      const fn = jest.fn((signal) => {
+        requestSignal = signal
+        return new Promise(() => {})
+      })
+      const controllers = [new AbortController(), new AbortController()]
+      const requests = controllers.map(({ signal }) => registry.combine('/todos', {}, fn, signal))
+
+      controllers[0].abort()
+      await expect(requests[0]).rejects.toThrow('The request was aborted.')
+      expect(requestSignal.aborted).toBe(false)
+
+      controllers[1].abort()
+      await expect(requests[1]).rejects.toThrow('The request was aborted.')
+      expect(requestSignal.aborted).toBe(true)
+      expect(registry.inFlightCount).toEqual(0)
+    })
+  })
+
+  describe('with stores', () => {
+    it('is owned by each store', async () => {
+      fetch.mockResponse(() => new Promise((resolve) => setTimeout(() => resolve(JSON.stringify({ data: [] })), 10)))
+      const store1 = new AppStore()
+      const store2 = new AppStore()
+
+      await Promise.all([store1.fetchAll('todos'), store2.fetchAll('todos')])
+
+      expect(store1.requestRegistry).not.toBe(store2.requestRegistry)
+      expect(fetch.mock.calls).toHaveLength(2)
+    })
+
+    it('is configured with deduplicationOptions', () => {
+      const store = new AppStore({ deduplicationOptions: { enabled: false } })
+      expect(store.requestRegistry.enabled).toBe(false)
+    })
+  })
+})
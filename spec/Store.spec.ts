@@ -7,7 +7,7 @@ import {
   Model,
   Store
 } from '../src/main'
-import { computed, isObservable, toJS } from 'mobx'
+import { autorun, computed, isObservable, runInAction, toJS } from 'mobx'
 
 import { stringType, URL_MAX_LENGTH, validatesArrayPresence } from '../src/utils'
 
@@ -300,11 +300,12 @@ describe('Store', () => {
 
   it('initializes data observable', () => {
     const map = new Map()
+    const set = new Set()
     expect(toJS(store.data)).toEqual({
-      todos: { cache: map, meta: map, records: map },
-      notes: { cache: map, meta: map, records: map },
-      categories: { cache: map, meta: map, records: map },
-      tags: { cache: map, meta: map, records: map }
+      todos: { cache: map, meta: map, records: map, links: map, fetchedAt: map, invalidated: set },
+      notes: { cache: map, meta: map, records: map, links: map, fetchedAt: map, invalidated: set },
+      categories: { cache: map, meta: map, records: map, links: map, fetchedAt: map, invalidated: set },
+      tags: { cache: map, meta: map, records: map, links: map, fetchedAt: map, invalidated: set }
     })
   })
 
@@ -323,6 +324,20 @@ describe('Store', () => {
   //   })
   // })
 
+  describe('events', () => {
+    it('calls the handlers of an event until they are removed', () => {
+      const handler = jest.fn()
+      const stop = store.on('authenticationFailed', handler)
+
+      store.emit('authenticationFailed', { error: 'expired' })
+      stop()
+      store.emit('authenticationFailed', { error: 'expired' })
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler).toHaveBeenCalledWith({ error: 'expired' })
+    })
+  })
+
   describe('add', () => {
     it('adds basic model to store', () => {
       const example = store.add('todos', { title: 'Buy Milk' })
@@ -368,6 +383,23 @@ describe('Store', () => {
   })
 
   describe('bulkSave', () => {
+    it('adds the top-level meta and links to the records', async () => {
+      const todo1 = store.add('todos', { title: 'Pet Dog' })
+      const todo2 = store.add('todos', { title: 'Give Dog Treat' })
+      fetch.mockResponse(JSON.stringify({
+        data: [
+          { id: '1', type: 'todos', attributes: { title: 'Pet Dog' } },
+          { id: '2', type: 'todos', attributes: { title: 'Give Dog Treat' } }
+        ],
+        meta: { total: 2 }
+      }))
+
+      const records = await store.bulkSave('todos', [todo1, todo2])
+
+      expect(records.meta).toEqual({ total: 2 })
+      expect(todo2.documentMeta).toEqual({ total: 2 })
+    })
+
     it("raises an invariant error if we submit n records and don't receive data for n records", async () => {
       expect.assertions(1)
 
@@ -601,6 +633,84 @@ describe('Store', () => {
     })
   })
 
+  describe('bulkDestroy', () => {
+    let todo1, todo2, note
+
+    beforeEach(() => {
+      todo1 = store.add('todos', { id: '1', title: 'Pet Dog' })
+      todo2 = store.add('todos', { id: '2', title: 'Give Dog Treat' })
+      note = store.add('notes', { id: '10', text: 'Treats are in the cupboard' })
+      note.todo = todo1
+      ;[todo1, todo2, note].forEach((record) => record.takeSnapshot({ persisted: true }))
+    })
+
+    it('raises an invariant error if any record is new', () => {
+      const newTodo = store.add('todos', { title: 'Pet Cat' })
+
+      expect(() => store.bulkDestroy('todos', [todo1, newTodo])).toThrow('Invariant violated')
+    })
+
+    it('sends a DELETE request with the identifiers', async () => {
+      fetch.mockResponse('', { status: 204 })
+
+      await store.bulkDestroy('todos', [todo1, todo2])
+
+      const [url, { method, body, headers }] = fetch.mock.calls[0]
+      expect(url).toEqual(`${mockBaseUrl}/todos`)
+      expect(method).toEqual('DELETE')
+      expect(headers['Content-Type']).toEqual('application/vnd.api+json; ext="bulk"')
+      expect(JSON.parse(body).data).toEqual([{ id: '1', type: 'todos' }, { id: '2', type: 'todos' }])
+    })
+
+    it('removes the records from the store and their inverse relationships', async () => {
+      fetch.mockResponse('', { status: 204 })
+
+      await store.bulkDestroy('todos', [todo1, todo2])
+
+      expect(store.getAll('todos')).toHaveLength(0)
+      expect(note.relationships.todo.data).toBeNull()
+      expect(note.isDirty).toBe(false)
+    })
+
+    it('adds the errors to the records they point to', async () => {
+      fetch.mockResponse(JSON.stringify({
+        errors: [{ detail: 'Todo is locked', source: { pointer: '/data/1' } }]
+      }), { status: 422 })
+
+      await expect(store.bulkDestroy('todos', [todo1, todo2])).rejects.toThrow('Todo is locked')
+
+      expect(todo2.errors.base[0].detail).toEqual('Todo is locked')
+      expect(todo1.errors).toEqual({})
+      expect(store.getAll('todos')).toHaveLength(2)
+      expect(todo2.isInFlight).toBe(false)
+    })
+
+    it('adds errors on a relationship or attribute to the record they point to', async () => {
+      fetch.mockResponse(JSON.stringify({
+        errors: [
+          { detail: 'Category is archived', source: { pointer: '/data/1/relationships/category' } },
+          { detail: 'Title is locked', source: { pointer: '/data/1/attributes/title' } },
+          { detail: 'Unknown', source: { pointer: '/data/relationships/category' } }
+        ]
+      }), { status: 422 })
+
+      await expect(store.bulkDestroy('todos', [todo1, todo2])).rejects.toThrow('Category is archived')
+
+      expect(todo2.errors.base.map(({ detail }) => detail)).toEqual(['Category is archived'])
+      expect(todo2.errors.title.map(({ detail }) => detail)).toEqual(['Title is locked'])
+      expect(todo1.errors).toEqual({})
+    })
+
+    it('shows which records would be affected in a dry run', async () => {
+      const { records, relatedRecords } = await store.bulkDestroy('todos', [todo1, todo2], { dryRun: true })
+
+      expect(records).toEqual([todo1, todo2])
+      expect(relatedRecords).toEqual([note])
+      expect(fetch).not.toHaveBeenCalled()
+      expect(store.getAll('todos')).toHaveLength(2)
+    })
+  })
+
   describe('updateRecordsFromResponse', () => {
     function mockRequest (errors, status = 422) {
       return new Promise((resolve) => {
@@ -883,6 +993,765 @@ describe('Store', () => {
     })
   })
 
+  describe('dehydrate', () => {
+    it('serializes the persisted records and query caches', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      await store.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+      store.add('todos', { title: 'Unsaved' })
+
+      const doc = JSON.parse(JSON.stringify(store.dehydrate()))
+
+      expect(doc.data.todos.records).toEqual([{
+        id: '101',
+        type: 'todos',
+        attributes: { title: 'Do taxes' },
+        relationships: { notes: { data: [{ id: '1', type: 'notes' }] } },
+        loadedIncludes: ['notes']
+      }])
+      expect(doc.data.notes.records.map(({ id }) => id)).toEqual(['1'])
+      expect(Object.values(doc.data.todos.cache)).toEqual([['101']])
+      expect(Object.keys(doc.loadedStates)).toEqual(['todos'])
+    })
+
+    it('serializes the last persisted state of dirty records', async () => {
+      fetch.mockResponse(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      todo.title = 'Changed'
+
+      expect(store.dehydrate().data.todos.records[0].attributes.title).toEqual('Do taxes')
+    })
+  })
+
+  describe('hydrate', () => {
+    let serverStore
+
+    beforeEach(async () => {
+      serverStore = new AppStore({ baseUrl: mockBaseUrl })
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      await serverStore.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+      fetch.mockResponse(mockAllTodosResponse)
+      await serverStore.fetchAll('todos')
+      fetch.resetMocks()
+    })
+
+    it('rebuilds the records as persisted', () => {
+      store.hydrate(JSON.parse(JSON.stringify(serverStore.dehydrate())))
+
+      const todo = store.getOne('todos', '101')
+      expect(todo.title).toEqual('Do taxes')
+      expect(todo.isDirty).toBe(false)
+      expect(todo.isNew).toBe(false)
+      expect(todo.notes.map(({ id }) => id)).toEqual(['1'])
+    })
+
+    it('answers findAll and findOne from the cache', async () => {
+      store.hydrate(JSON.parse(JSON.stringify(serverStore.dehydrate())))
+
+      const todos = await store.findAll('todos')
+      const todo = await store.findOne('todos', '101', { queryParams: { include: 'notes' } })
+
+      expect(todos.map(({ id }) => id)).toEqual(['101', '1', '2'])
+      expect(todo.id).toEqual('101')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('restores the meta and loaded states', () => {
+      const doc = serverStore.dehydrate()
+      store.hydrate(doc)
+
+      expect(toJS(store.data.todos.cache)).toEqual(toJS(serverStore.data.todos.cache))
+      expect(store.loadedStates.get('todos')).toEqual(serverStore.loadedStates.get('todos'))
+    })
+
+    it('skips types without a model', () => {
+      store.hydrate({ data: { planets: { records: [{ id: '1', type: 'planets', attributes: {} }] } } })
+
+      expect(store.data.planets).toBeUndefined()
+    })
+  })
+
+  describe('gc', () => {
+    it('removes records that are not reachable from a cached query', async () => {
+      fetch.mockResponse(mockTodosResponse)
+      await store.fetchAll('todos')
+      store.createOrUpdateModelsFromData([mockTodoData2.data, { id: '5', type: 'notes', attributes: { text: 'Orphan' } }])
+
+      expect(store.gc()).toEqual(2)
+      expect(store.getAll('todos').map(({ id }) => id)).toEqual(['1'])
+      expect(store.getAll('notes')).toHaveLength(0)
+    })
+
+    it('keeps records related to reachable records', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      await store.fetchOne('todos', '101')
+
+      expect(store.gc()).toEqual(0)
+      expect(store.getOne('notes', '1')).toBeDefined()
+    })
+
+    it('keeps new, dirty and retained records', () => {
+      const [todo1, todo2, todo3] = store.createOrUpdateModelsFromData([
+        { id: '1', type: 'todos', attributes: { title: 'Dirty' } },
+        { id: '2', type: 'todos', attributes: { title: 'Retained' } },
+        { id: '3', type: 'todos', attributes: { title: 'Unused' } }
+      ])
+      const newTodo = store.add('todos', { title: 'New' })
+      todo1.title = 'Changed'
+      const release = store.retain(todo2)
+
+      expect(store.gc()).toEqual(1)
+      expect(store.getRecords('todos')).toEqual(expect.arrayContaining([todo1, todo2, newTodo]))
+      expect(store.getOne('todos', todo3.id)).toBeUndefined()
+      expect(store.lastAccessed.has(todo3)).toBe(false)
+
+      release()
+      expect(store.gc()).toEqual(1)
+      expect(store.getOne('todos', '2')).toBeUndefined()
+    })
+
+  })
+
+  describe('retain', () => {
+    it('counts how many times a record is retained', () => {
+      const todo = store.add('todos', { title: 'Buy Milk' })
+      const release1 = store.retain(todo)
+      const release2 = store.retain(todo)
+
+      release1()
+      release1()
+      expect(store.retained.get(todo)).toEqual(1)
+
+      release2()
+      expect(store.retained.has(todo)).toBe(false)
+    })
+  })
+
+  describe('maxRecords', () => {
+    it('evicts the least recently used records of a type', () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 2 } })
+      store.createOrUpdateModelsFromData([mockTodoData.data, mockTodoData2.data])
+      store.getOne('todos', '1')
+
+      store.createOrUpdateModelsFromData([{ id: '3', type: 'todos', attributes: { title: 'Third' } }])
+
+      expect(store.getRecords('todos').map(({ id }) => id).sort()).toEqual(['1', '3'])
+    })
+
+    it('removes the cached queries of evicted records', async () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 2 } })
+      fetch.mockResponse(mockAllTodosResponse)
+      await store.fetchAll('todos')
+
+      store.createOrUpdateModelsFromData([{ id: '3', type: 'todos', attributes: { title: 'Third' } }])
+
+      expect(store.data.todos.cache.size).toEqual(0)
+      expect(store.data.todos.fetchedAt.size).toEqual(0)
+    })
+
+    it('never evicts retained or dirty records', () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 3 } })
+      const [todo1, todo2] = store.createOrUpdateModelsFromData([
+        mockTodoData.data,
+        mockTodoData2.data,
+        { id: '3', type: 'todos', attributes: { title: 'Third' } }
+      ])
+      store.retain(todo1)
+      todo2.title = 'Changed'
+
+      store.createOrUpdateModelsFromData([{ id: '4', type: 'todos', attributes: { title: 'Fourth' } }])
+
+      expect(store.getRecords('todos').map(({ id }) => id).sort()).toEqual(['1', '2', '4'])
+    })
+
+    it('never evicts the records of a retained query', async () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 2 } })
+      fetch.mockResponse(mockAllTodosResponse)
+      const query = store.query('todos', { queryParams: { filter: { done: false } } })
+      await query.load()
+      store.retain(query)
+
+      store.createOrUpdateModelsFromData([{ id: '3', type: 'todos', attributes: { title: 'Third' } }])
+
+      expect(query.records.map(({ id }) => id)).toEqual(['1', '2'])
+      expect(store.getOne('todos', '3')).toBeDefined()
+      query.dispose()
+    })
+
+    it('never evicts the records it is loading', () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 1 } })
+      const todos = store.createOrUpdateModelsFromData([mockTodoData.data, mockTodoData2.data])
+
+      expect(store.getRecords('todos')).toEqual(todos)
+    })
+
+    it('drops the paginated queries of evicted records and forgets when they were used', async () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 2 } })
+      fetch.mockResponse(mockAllTodosResponse)
+      const query = store.paginate('todos')
+      await query.fetchNextPage()
+      const [todo1] = query.records
+
+      store.createOrUpdateModelsFromData([{ id: '3', type: 'todos', attributes: { title: 'Third' } }])
+
+      expect(store.paginatedQueries.size).toEqual(0)
+      expect(store.getOne('todos', '1')).toBeUndefined()
+      expect(store.lastAccessed.has(todo1)).toBe(false)
+    })
+
+    it('does not go through the records while under the limit', () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 3 } })
+      const retainedRecords = jest.spyOn(store, '_retainedRecords')
+
+      store.createOrUpdateModelsFromData([mockTodoData.data, mockTodoData2.data])
+      store = new AppStore({ baseUrl: mockBaseUrl })
+      const values = jest.spyOn(store.data.todos.records, 'values')
+      store.createOrUpdateModelsFromData([mockTodoData.data, mockTodoData2.data])
+
+      expect(retainedRecords).not.toHaveBeenCalled()
+      expect(values).not.toHaveBeenCalled()
+    })
+
+    it('never evicts records with a queued mutation', () => {
+      store = new AppStore({ baseUrl: mockBaseUrl, cacheOptions: { maxRecords: 2 } })
+      store.createOrUpdateModelsFromData([mockTodoData.data, mockTodoData2.data])
+      store.mutationQueue.mutations.push({ type: 'todos', id: '1', method: 'PATCH', url: '/example_api/todos/1', body: '{}' })
+      store.getOne('todos', '2')
+
+      store.createOrUpdateModelsFromData([{ id: '3', type: 'todos', attributes: { title: 'Third' } }])
+
+      expect(store.getRecords('todos').map(({ id }) => id).sort()).toEqual(['1', '3'])
+    })
+
+    it('can be set per model', () => {
+      Tag.cacheOptions = { maxRecords: 1 }
+      store.createOrUpdateModelsFromData([{ id: '1', type: 'tags', attributes: { label: 'red' } }])
+      store.createOrUpdateModelsFromData([{ id: '2', type: 'tags', attributes: { label: 'blue' } }])
+      store.createOrUpdateModelsFromData([mockTodoData.data, mockTodoData2.data])
+      delete Tag.cacheOptions
+
+      expect(store.getRecords('tags').map(({ label }) => label)).toEqual(['blue'])
+      expect(store.getRecords('todos')).toHaveLength(2)
+    })
+  })
+
+  describe('invalidate', () => {
+    beforeEach(async () => {
+      fetch.mockResponse(mockAllTodosResponse)
+      await store.fetchAll('todos')
+      await store.fetchAll('todos', { queryParams: { filter: { title: 'Do taxes' } }, queryTag: 'taxes' })
+      fetch.resetMocks()
+      fetch.mockResponse(mockTodosResponse)
+    })
+
+    it('marks the cached queries of a type stale', async () => {
+      store.invalidate('todos')
+
+      expect(Array.from(store.data.todos.invalidated)).toHaveLength(2)
+
+      await store.findAll('todos')
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(store.data.todos.invalidated.has('/example_api/todos')).toBe(false)
+    })
+
+    it('marks the cached queries of a query tag stale', () => {
+      store.invalidate('taxes')
+
+      expect(Array.from(store.data.todos.invalidated)).toEqual(['/example_api/todos?filter%5Btitle%5D=Do%20taxes'])
+    })
+
+    it('marks the cached queries that match a predicate stale', () => {
+      const predicate = jest.fn(({ queryParams }) => queryParams.filter?.title === 'Do taxes')
+      store.invalidate(predicate)
+
+      expect(predicate).toHaveBeenCalledWith({
+        type: 'todos',
+        url: '/example_api/todos?filter%5Btitle%5D=Do%20taxes',
+        queryParams: { filter: { title: 'Do taxes' } },
+        queryTags: ['taxes']
+      })
+      expect(store.data.todos.invalidated.size).toEqual(1)
+    })
+
+    it('refetches the queries that are being observed', async () => {
+      const observed = store.query('todos', { queryParams: { filter: { title: 'Do taxes' } } })
+      const unobserved = store.query('todos')
+      const stop = autorun(() => observed.records)
+      fetch.resetMocks()
+      fetch.mockResponse(mockTodosResponse)
+
+      await store.invalidate('todos')
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(fetch.mock.calls[0][0]).toEqual('/example_api/todos?filter%5Btitle%5D=Do%20taxes')
+
+      stop()
+      await store.invalidate('todos')
+      expect(fetch).toHaveBeenCalledTimes(1)
+      observed.dispose()
+      unobserved.dispose()
+    })
+  })
+
+  describe('where', () => {
+    let todo1, todo2, todo3
+
+    beforeEach(() => {
+      store.createOrUpdateModelsFromData([
+        { id: '1', type: 'todos', attributes: { title: 'Pet dog' }, relationships: { category: { data: { id: '5', type: 'categories' } } } },
+        { id: '2', type: 'todos', attributes: { title: 'Do taxes' }, relationships: { category: { data: { id: '6', type: 'categories' } } } },
+        { id: '3', type: 'todos', attributes: { title: 'Buy milk' }, relationships: { category: { data: { id: '5', type: 'categories' } } } },
+        { id: '5', type: 'categories', attributes: { name: 'Home' } },
+        { id: '6', type: 'categories', attributes: { name: 'Paperwork' } }
+      ])
+      ;[todo1, todo2, todo3] = ['1', '2', '3'].map((id) => store.getOne('todos', id))
+    })
+
+    const ids = (records) => records.map(({ id }) => id)
+
+    it('filters by attributes', () => {
+      expect(ids(store.where('todos', { filter: { title: 'Do taxes' } }).get())).toEqual(['2'])
+    })
+
+    it('matches any of a list of values', () => {
+      expect(ids(store.where('todos', { filter: { id: '1,3' } }).get())).toEqual(['1', '3'])
+      expect(ids(store.where('todos', { filter: { ids: ['2', '3'] } }).get())).toEqual(['2', '3'])
+    })
+
+    it('compares a comma separated attribute value as a whole', () => {
+      todo2.title = 'Milk, eggs'
+
+      expect(ids(store.where('todos', { filter: { title: 'Milk, eggs' } }).get())).toEqual(['2'])
+      expect(ids(store.where('todos', { filter: { title: 'Pet dog,Buy milk' } }).get())).toEqual([])
+      expect(ids(store.where('todos', { filter: { category: '5,6' } }).get())).toEqual(['1', '2', '3'])
+    })
+
+    it('filters by relationship paths', () => {
+      expect(ids(store.where('todos', { filter: { 'category.id': '5' } }).get())).toEqual(['1', '3'])
+      expect(ids(store.where('todos', { filter: { category: { name: 'Paperwork' } } }).get())).toEqual(['2'])
+    })
+
+    it('follows inverse to-many relationships', () => {
+      const note = store.add('notes', { id: '10', text: 'Receipts' })
+      note.todo = todo2
+
+      expect(ids(store.where('todos', { filter: { 'notes.text': 'Receipts' } }).get())).toEqual(['2'])
+    })
+
+    it('sorts and limits', () => {
+      expect(ids(store.where('todos', { sort: 'title' }).get())).toEqual(['3', '2', '1'])
+      expect(ids(store.where('todos', { sort: 'category.name,-title', limit: 2 }).get())).toEqual(['1', '3'])
+    })
+
+    it('stays up to date as records are added, changed and removed', () => {
+      const query = store.where('todos', { filter: { 'category.id': '5' }, sort: 'title' })
+      const results = []
+      const dispose = autorun(() => results.push(ids(query.get())))
+
+      todo1.title = 'Adopt dog'
+      store.createOrUpdateModelFromData({ id: '4', type: 'todos', attributes: { title: 'Call mum' }, relationships: { category: { data: { id: '5', type: 'categories' } } } })
+      store.remove('todos', todo3.id)
+      dispose()
+
+      expect(results).toEqual([['3', '1'], ['1', '3'], ['1', '3', '4'], ['1', '4']])
+    })
+  })
+
+  describe('getBy', () => {
+    class IndexedTodo extends Todo {
+      static indexes = ['title', 'category']
+    }
+
+    class IndexedStore extends Store {
+      static models = [Note, IndexedTodo, Tag, Category]
+    }
+
+    const ids = (records) => records.map(({ id }) => id).sort()
+
+    beforeEach(() => {
+      store = new IndexedStore({ baseUrl: mockBaseUrl })
+      store.createOrUpdateModelsFromData([
+        { id: '1', type: 'todos', attributes: { title: 'Pet dog' }, relationships: { category: { data: { id: '5', type: 'categories' } } } },
+        { id: '2', type: 'todos', attributes: { title: 'Do taxes' }, relationships: { category: { data: { id: '6', type: 'categories' } } } },
+        { id: '3', type: 'todos', attributes: { title: 'Pet dog' }, relationships: { category: { data: null } } },
+        { id: '5', type: 'categories', attributes: { name: 'Home' } }
+      ])
+    })
+
+    it('finds records by an indexed attribute or relationship', () => {
+      expect(store.indexes.todos).toBeDefined()
+      expect(store.indexes.categories).toBeUndefined()
+      expect(ids(store.getBy('todos', 'title', 'Pet dog'))).toEqual(['1', '3'])
+      expect(ids(store.getBy('todos', 'category', '5'))).toEqual(['1'])
+      expect(ids(store.getBy('todos', 'category', store.getOne('categories', '5')))).toEqual(['1'])
+      expect(ids(store.getBy('todos', 'category', null))).toEqual(['3'])
+      expect(store.getBy('todos', 'title', 'Buy milk')).toEqual([])
+    })
+
+    it('finds records by fields that are not indexed', () => {
+      expect(ids(store.getBy('categories', 'name', 'Home'))).toEqual(['5'])
+    })
+
+    it('updates the index as attributes and linkages change', () => {
+      const todo = store.getOne('todos', '2')
+
+      todo.title = 'Pet dog'
+      todo.category = store.getOne('categories', '5')
+
+      expect(ids(store.getBy('todos', 'title', 'Pet dog'))).toEqual(['1', '2', '3'])
+      expect(store.getBy('todos', 'title', 'Do taxes')).toEqual([])
+      expect(ids(store.getBy('todos', 'category', '5'))).toEqual(['1', '2'])
+      expect(store.getBy('todos', 'category', '6')).toEqual([])
+    })
+
+    it('is up to date inside an action', () => {
+      const todo = store.getOne('todos', '2')
+
+      runInAction(() => {
+        todo.title = 'Pet dog'
+        todo.relationships.category.data.id = '5'
+
+        expect(ids(store.getBy('todos', 'title', 'Pet dog'))).toEqual(['1', '2', '3'])
+        expect(ids(store.getBy('todos', 'category', '5'))).toEqual(['1', '2'])
+      })
+    })
+
+    it('updates the index as records are added and removed', () => {
+      const todo = store.add('todos', { title: 'Do taxes' })
+      store.remove('todos', '2')
+
+      expect(store.getBy('todos', 'title', 'Do taxes')).toEqual([todo])
+    })
+
+    it('indexes placeholder records once they are loaded', () => {
+      store.createOrUpdateModelFromData({ id: '7', type: 'categories', relationships: { todo: { data: { id: '9', type: 'todos' } } } })
+      store.getOne('categories', '7').todo // eslint-disable-line no-unused-expressions
+
+      expect(store.data.todos.records.get('9').initialized).toBe(false)
+      expect(store.getBy('todos', 'title', 'Clean room')).toEqual([])
+      store.createOrUpdateModelFromData({ id: '9', type: 'todos', attributes: { title: 'Clean room' } })
+
+      expect(ids(store.getBy('todos', 'title', 'Clean room'))).toEqual(['9'])
+    })
+
+    it('is observable', () => {
+      const results = []
+      const dispose = autorun(() => results.push(ids(store.getBy('todos', 'category', '5'))))
+
+      store.getOne('todos', '3').category = store.getOne('categories', '5')
+      store.remove('todos', '1')
+      dispose()
+
+      expect(results).toEqual([['1'], ['1', '3'], ['3']])
+    })
+
+    it('is used by where', () => {
+      const get = jest.spyOn(store.indexes.todos, 'get')
+
+      const results = store.where('todos', { filter: { category: '5,6' }, sort: 'title' }).get()
+
+      expect(results.map(({ id }) => id)).toEqual(['2', '1'])
+      expect(get).toHaveBeenCalledWith('category', '5')
+      expect(get).toHaveBeenCalledWith('category', '6')
+    })
+
+    it('looks up a comma separated attribute value as a whole', () => {
+      store.getOne('todos', '2').title = 'Milk, eggs'
+
+      expect(ids(store.where('todos', { filter: { title: 'Milk, eggs' } }).get())).toEqual(['2'])
+      expect(store.where('todos', { filter: { title: 'Pet dog,Do taxes' } }).get()).toEqual([])
+    })
+  })
+
+  describe('getReferencingRecords', () => {
+    beforeEach(() => {
+      store.createOrUpdateModelsFromData([
+        { id: '1', type: 'todos', attributes: { title: 'Pet dog' } },
+        { id: '2', type: 'todos', attributes: { title: 'Do taxes' } },
+        { id: '10', type: 'notes', attributes: { text: 'Buy treats' }, relationships: { todo: { data: { id: '1', type: 'todos' } } } },
+        { id: '11', type: 'notes', attributes: { text: 'Find receipts' }, relationships: { todo: { data: { id: '2', type: 'todos' } } } },
+        { id: '12', type: 'notes', attributes: { text: 'Walk' }, relationships: { todo: { data: { id: '1', type: 'todos' } } } }
+      ])
+    })
+
+    const ids = (records) => records.map(({ id }) => id).sort()
+
+    it('indexes the relationships that are the inverse of a to-many relationship', () => {
+      expect(store.referenceIndexes.notes.fields).toEqual(['todo'])
+      expect(store.referenceIndexes.todos).toBeUndefined()
+    })
+
+    it('only indexes the referencing types', () => {
+      class Task extends Model {
+        static type = 'tasks'
+        static endpoint = 'tasks'
+        static relationshipDefinitions = { project: { direction: 'toOne' } }
+      }
+      class Project extends Model {
+        static type = 'projects'
+        static endpoint = 'projects'
+        static relationshipDefinitions = {
+          tasks: { direction: 'toMany', inverse: { name: 'project', direction: 'toOne', types: ['projects'] } }
+        }
+      }
+      class ProjectStore extends Store {
+        static models = [Project, Task]
+      }
+
+      const projectStore = new ProjectStore({ baseUrl: mockBaseUrl })
+
+      expect(projectStore.referenceIndexes.tasks.fields).toEqual(['project'])
+      expect(projectStore.referenceIndexes.projects).toBeUndefined()
+    })
+
+    it('finds the records that refer to a record', () => {
+      const todo = store.getOne('todos', '1')
+
+      expect(ids(store.getReferencingRecords(todo, 'todo', ['notes']))).toEqual(['10', '12'])
+      expect(store.getReferencingRecords(todo, 'todo', ['tags'])).toEqual([])
+    })
+
+    it('resolves inverse to-many relationships without going through every record', () => {
+      const todo = store.getOne('todos', '1')
+      const getRecords = jest.spyOn(store, 'getRecords')
+
+      expect(ids(todo.notes)).toEqual(['10', '12'])
+      expect(getRecords).not.toHaveBeenCalled()
+    })
+
+    it('follows changes to the relationships', () => {
+      const todo = store.getOne('todos', '1')
+
+      store.createOrUpdateModelFromData({ id: '11', type: 'notes', attributes: { text: 'Find receipts' }, relationships: { todo: { data: { id: '1', type: 'todos' } } } })
+      store.getOne('notes', '12').relationships.todo = null
+      store.remove('notes', '10')
+
+      expect(ids(todo.notes)).toEqual(['11'])
+      expect(ids(store.getOne('todos', '2').notes)).toEqual([])
+    })
+
+    it('is up to date inside an action', () => {
+      const todo = store.getOne('todos', '2')
+
+      runInAction(() => {
+        store.createOrUpdateModelsFromData([{ id: '13', type: 'notes', attributes: { text: 'File' }, relationships: { todo: { data: { id: '2', type: 'todos' } } } }])
+        expect(ids(todo.notes)).toEqual(['11', '13'])
+
+        store.getOne('notes', '11').relationships.todo = null
+        expect(ids(todo.notes)).toEqual(['13'])
+
+        store.getOne('notes', '13').relationships = {}
+        expect(ids(todo.notes)).toEqual([])
+      })
+    })
+
+    it('unsets the old related records when assigning inside an action', () => {
+      const todo = store.getOne('todos', '1')
+      const [note10, note11, note12] = ['10', '11', '12'].map((id) => store.getOne('notes', id))
+
+      runInAction(() => {
+        note11.relationships.todo = { data: { id: '1', type: 'todos' } }
+        todo.notes = [note12]
+      })
+
+      expect(note10.todo).toBeUndefined()
+      expect(note11.todo).toBeUndefined()
+      expect(note12.todo).toBe(todo)
+    })
+
+    it('is observable', () => {
+      const todo = store.getOne('todos', '2')
+      const results = []
+      const dispose = autorun(() => results.push(ids(todo.notes)))
+
+      store.createOrUpdateModelFromData({ id: '13', type: 'notes', attributes: { text: 'File' }, relationships: { todo: { data: { id: '2', type: 'todos' } } } })
+      dispose()
+
+      expect(results).toEqual([['11'], ['11', '13']])
+    })
+  })
+
+  describe('includes', () => {
+    const mockNoteWithTodoResponse = JSON.stringify({
+      data: { id: '1', type: 'notes', attributes: { text: 'Do something' }, relationships: { todo: { data: { id: '101', type: 'todos' } } } },
+      included: [mockTodoWithNotes.data]
+    })
+
+    it('tracks the relationship paths a record was loaded with', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      const todo = await store.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+
+      expect(todo.isIncludeLoaded('notes')).toBe(true)
+      expect(todo.isIncludeLoaded('tags')).toBe(false)
+      expect(todo.isIncludeLoaded('notes.todo')).toBe(false)
+    })
+
+    it('tracks nested paths on the related records', async () => {
+      fetch.mockResponse(mockNoteWithTodoResponse)
+      const note = await store.fetchOne('notes', '1', { queryParams: { include: 'todo,todo.notes' } })
+
+      expect(note.isIncludeLoaded('todo.notes')).toBe(true)
+      expect(store.getOne('todos', '101').isIncludeLoaded('notes')).toBe(true)
+    })
+
+    it('answers findOne from memory when every path is loaded', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      const todo = await store.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+
+      expect(store.findOne('todos', '101', { queryParams: { include: 'notes' } })).toBe(todo)
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('answers findOne from a record loaded by another query', async () => {
+      fetch.mockResponse(JSON.stringify({ data: [mockTodoWithNotes.data], included: mockTodoWithNotes.included }))
+      await store.fetchAll('todos', { queryParams: { include: 'notes' } })
+
+      expect(store.findOne('todos', '101', { queryParams: { include: 'notes' } }).id).toEqual('101')
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('fetches only the missing paths', async () => {
+      fetch.mockResponseOnce(mockTodoWithNotesResponse)
+      await store.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+      fetch.mockResponseOnce(mockTodoWithTagsResponse)
+
+      const todo = await store.findOne('todos', '101', { queryParams: { include: 'notes,tags' } })
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(decodeURIComponent(fetch.mock.calls[1][0])).toEqual(`${mockBaseUrl}/todos/101?include=tags`)
+      expect(todo.isIncludeLoaded('notes')).toBe(true)
+      expect(todo.isIncludeLoaded('tags')).toBe(true)
+    })
+
+    it('fetches a path again when a related record has been removed', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      await store.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+      store.remove('notes', '1')
+
+      await store.findOne('todos', '101', { queryParams: { include: 'notes' } })
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('answers findAll from a query without the include when every path is loaded', async () => {
+      fetch.mockResponse(JSON.stringify({ data: [mockTodoWithNotes.data], included: mockTodoWithNotes.included }))
+      await store.fetchAll('todos', { queryParams: { include: 'notes', filter: { title: 'Do taxes' } } })
+
+      const todos = await store.findAll('todos', { queryParams: { include: 'notes', filter: { title: 'Do taxes' } } })
+      expect(todos.map(({ id }) => id)).toEqual(['101'])
+      expect(fetch).toHaveBeenCalledTimes(1)
+
+      fetch.mockResponse(JSON.stringify({ data: [mockTodoWithNotes.data], included: mockTodoWithTags.included }))
+      await store.findAll('todos', { queryParams: { include: 'notes,tags', filter: { title: 'Do taxes' } } })
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(decodeURIComponent(fetch.mock.calls[1][0])).toEqual(`${mockBaseUrl}/todos?include=tags&filter[title]=Do taxes`)
+    })
+
+    it('keeps the loaded paths through dehydrate and hydrate', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      await store.fetchOne('todos', '101', { queryParams: { include: 'notes' } })
+
+      const nextStore = new AppStore({ baseUrl: mockBaseUrl })
+      nextStore.hydrate(JSON.parse(JSON.stringify(store.dehydrate())))
+
+      expect(nextStore.getOne('todos', '101').isIncludeLoaded('notes')).toBe(true)
+    })
+  })
+
+  describe('sparse fieldsets', () => {
+    const sparseTodoResponse = JSON.stringify({
+      data: { id: '1', type: 'todos', relationships: { notes: { data: [] } } }
+    })
+    const sparseQueryParams = { fields: { todos: 'notes' } }
+
+    it('tracks the fields a record was loaded with', async () => {
+      fetch.mockResponse(sparseTodoResponse)
+      const todo = await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+
+      expect(Array.from(todo.loadedFields)).toEqual(['notes'])
+      expect(todo.isFieldLoaded('notes')).toBe(true)
+      expect(todo.isFieldLoaded('title')).toBe(false)
+    })
+
+    it('adds the fields of later sparse fetches', async () => {
+      fetch.mockResponseOnce(sparseTodoResponse)
+      const todo = await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+      fetch.mockResponseOnce(mockTodoResponse)
+      await store.fetchOne('todos', '1', { queryParams: { fields: { todos: 'title' } } })
+
+      expect(Array.from(todo.loadedFields).sort()).toEqual(['notes', 'title'])
+    })
+
+    it('completes a record fetched without a sparse fieldset', async () => {
+      fetch.mockResponseOnce(sparseTodoResponse)
+      const todo = await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+      fetch.mockResponseOnce(mockTodoResponse)
+      await store.fetchOne('todos', '1')
+
+      expect(todo.loadedFields).toBeNull()
+      expect(todo.isFieldLoaded('title')).toBe(true)
+    })
+
+    it('does not make a complete record sparse', async () => {
+      fetch.mockResponseOnce(mockTodoResponse)
+      const todo = await store.fetchOne('todos', '1')
+      fetch.mockResponseOnce(sparseTodoResponse)
+      await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+
+      expect(todo.loadedFields).toBeNull()
+    })
+
+    it('treats a sparse record as a cache miss for findOne without fields', async () => {
+      fetch.mockResponseOnce(sparseTodoResponse)
+      await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+      fetch.mockResponseOnce(mockTodoResponse)
+
+      const todo = await store.findOne('todos', '1')
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(todo.title).toEqual('Do taxes')
+      expect(store.findOne('todos', '1')).toBe(todo)
+    })
+
+    it('answers findOne from a sparse record that has the fields', async () => {
+      fetch.mockResponseOnce(sparseTodoResponse)
+      await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+
+      store.findOne('todos', '1', { queryParams: sparseQueryParams })
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('treats sparse records as a cache miss for findAll without fields', async () => {
+      fetch.mockResponseOnce(JSON.stringify({ data: [JSON.parse(sparseTodoResponse).data] }))
+      await store.fetchAll('todos', { queryParams: sparseQueryParams })
+      fetch.mockResponseOnce(mockTodosResponse)
+
+      const todos = await store.findAll('todos')
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(todos[0].isFieldLoaded('title')).toBe(true)
+    })
+
+    it('tracks sparse fieldsets of included records', async () => {
+      fetch.mockResponse(mockTodoWithNotesResponse)
+      await store.fetchOne('todos', '101', { queryParams: { include: 'notes', fields: { notes: 'text' } } })
+
+      expect(store.getOne('todos', '101').loadedFields).toBeNull()
+      expect(Array.from(store.getOne('notes', '1').loadedFields)).toEqual(['text'])
+    })
+
+    it('keeps the loaded fields through dehydrate and hydrate', async () => {
+      fetch.mockResponse(sparseTodoResponse)
+      await store.fetchOne('todos', '1', { queryParams: sparseQueryParams })
+
+      const nextStore = new AppStore({ baseUrl: mockBaseUrl })
+      nextStore.hydrate(JSON.parse(JSON.stringify(store.dehydrate())))
+
+      expect(nextStore.getOne('todos', '1').isFieldLoaded('title')).toBe(false)
+    })
+  })
+
   describe('getOne', () => {
     it('returns and console warns if not given an id', () => {
       console.error = jest.fn()
@@ -919,6 +1788,37 @@ describe('Store', () => {
       expect(fetch.mock.calls).toHaveLength(1)
     })
 
+    it('keeps the top-level meta and links of the document', async () => {
+      fetch.mockResponseOnce(JSON.stringify({
+        ...mockTodoData,
+        meta: { permissions: { update: false } },
+        links: { self: '/example_api/todos/1?include=notes' }
+      }))
+      const queryParams = { include: 'notes' }
+
+      const record = await store.fetchOne('todos', '1', { queryParams })
+
+      expect(record.documentMeta).toEqual({ permissions: { update: false } })
+      expect(record.documentLinks).toEqual({ self: '/example_api/todos/1?include=notes' })
+      expect(store.getOne('todos', '1', { queryParams }).documentMeta).toEqual({ permissions: { update: false } })
+      expect(store.data.todos.meta.get('/example_api/todos/1?include=notes')).toEqual({ permissions: { update: false } })
+    })
+
+    it('sets the meta and links of the url on the record from getOne', async () => {
+      fetch.mockResponseOnce(JSON.stringify({ ...mockTodoData, meta: { permissions: { update: false } } }))
+      fetch.mockResponseOnce(JSON.stringify({ ...mockTodoData, meta: { permissions: { update: true } }, links: { self: '/example_api/todos/1?include=notes' } }))
+      const queryParams = { include: 'notes' }
+
+      await store.fetchOne('todos', '1')
+      await store.fetchOne('todos', '1', { queryParams })
+
+      expect(store.getOne('todos', '1').documentMeta).toEqual({ permissions: { update: true } })
+      const record = store.getOne('todos', '1', { queryParams: {} })
+      expect(record.documentMeta).toEqual({ permissions: { update: false } })
+      expect(record.documentLinks).toBeNull()
+      expect(store.getOne('todos', '1', { queryParams }).documentMeta).toEqual({ permissions: { update: true } })
+    })
+
     it('identifies relationships, even when not returned from server', async () => {
       fetch.mockResponseOnce(mockTodoWithMetaDataResponse)
       const foundRecord = await store.fetchOne('todos', '101')
@@ -1042,6 +1942,40 @@ describe('Store', () => {
         '/example_api/todos/1?filter[due_at]=2019-01-01&include=todo.notes&fields[notes]=text&user_id=1'
       )
     })
+
+    describe('cache expiry', () => {
+      const queryParams = { include: 'notes' }
+
+      beforeEach(async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000)
+        fetch.mockResponse(mockTodoResponse)
+        await store.findOne('todos', '1', { queryParams })
+      })
+
+      afterEach(() => {
+        jest.restoreAllMocks()
+      })
+
+      it('uses the cached record while it is fresh', async () => {
+        Date.now.mockReturnValue(5000)
+        await store.findOne('todos', '1', { queryParams, maxAge: 10000 })
+        expect(fetch.mock.calls).toHaveLength(1)
+      })
+
+      it('refetches the record once it is older than maxAge', async () => {
+        Date.now.mockReturnValue(20000)
+        const todo = await store.findOne('todos', '1', { queryParams, maxAge: 10000 })
+        expect(todo.title).toEqual('Do taxes')
+        expect(fetch.mock.calls).toHaveLength(2)
+      })
+
+      it('returns the stale record and revalidates in the background', async () => {
+        Date.now.mockReturnValue(20000)
+        const todo = store.findOne('todos', '1', { queryParams, maxAge: 10000, staleWhileRevalidate: true })
+        expect(todo.id).toEqual('1')
+        expect(fetch.mock.calls).toHaveLength(2)
+      })
+    })
   })
 
   describe('getAll', () => {
@@ -1290,6 +2224,76 @@ describe('Store', () => {
       })
       expect(todos.meta.data).toEqual('present')
     })
+
+    describe('cache expiry', () => {
+      const queryParams = { title: 'Do taxes' }
+
+      beforeEach(async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000)
+        fetch.mockResponse(mockTodosResponse)
+        await store.findAll('todos', { queryParams })
+      })
+
+      afterEach(() => {
+        jest.restoreAllMocks()
+      })
+
+      it('records when a query was fetched', () => {
+        expect(store.data.todos.fetchedAt.get('/example_api/todos?title=Do%20taxes')).toEqual(1000)
+      })
+
+      it('never expires queries by default', async () => {
+        Date.now.mockReturnValue(1000000000)
+        await store.findAll('todos', { queryParams })
+        expect(fetch.mock.calls).toHaveLength(1)
+      })
+
+      it('uses the cache while the query is fresh', async () => {
+        Date.now.mockReturnValue(5000)
+        await store.findAll('todos', { queryParams, maxAge: 10000 })
+        expect(fetch.mock.calls).toHaveLength(1)
+      })
+
+      it('refetches once the query is older than maxAge', async () => {
+        Date.now.mockReturnValue(20000)
+        await store.findAll('todos', { queryParams, maxAge: 10000 })
+        expect(fetch.mock.calls).toHaveLength(2)
+        expect(store.data.todos.fetchedAt.get('/example_api/todos?title=Do%20taxes')).toEqual(20000)
+      })
+
+      it('uses maxAge from the store configuration', async () => {
+        store.cacheOptions.maxAge = 10000
+        Date.now.mockReturnValue(20000)
+        await store.findAll('todos', { queryParams })
+        expect(fetch.mock.calls).toHaveLength(2)
+      })
+
+      it('lets the model override the store configuration', async () => {
+        store.cacheOptions.maxAge = 100000
+        Todo.cacheOptions = { maxAge: 10000 }
+        Date.now.mockReturnValue(20000)
+        await store.findAll('todos', { queryParams })
+        Todo.cacheOptions = {}
+        expect(fetch.mock.calls).toHaveLength(2)
+      })
+
+      it('returns stale records right away and refreshes them in the background', async () => {
+        Date.now.mockReturnValue(20000)
+        fetch.mockResponse(JSON.stringify({ data: [{ ...mockTodoData.data, attributes: { title: 'Do taxes again' } }] }))
+
+        const todos = await store.findAll('todos', { queryParams, maxAge: 10000, staleWhileRevalidate: true })
+        expect(todos[0].title).toEqual('Do taxes')
+        expect(fetch.mock.calls).toHaveLength(2)
+
+        await new Promise((resolve) => setTimeout(resolve, 0))
+        expect(todos[0].title).toEqual('Do taxes again')
+      })
+
+      it('clears fetch timestamps with the cache', () => {
+        store.clearCache('todos')
+        expect(store.data.todos.fetchedAt.size).toEqual(0)
+      })
+    })
   })
 
   describe('fetchAll', () => {
@@ -1384,6 +2388,96 @@ describe('Store', () => {
       ]))
     })
 
+    it('keeps the errors of a failed request in errorStates', async () => {
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ detail: 'Something went wrong.', status: 500 }] }), { status: 500 })
+
+      await expect(store.fetchAll('todos', { queryTag: 'myTodos' })).rejects.toThrow('Something went wrong.')
+
+      expect(store.isLoading('myTodos')).toBe(false)
+      expect(store.isLoaded('myTodos')).toBe(false)
+      expect(store.errorFor('myTodos')).toEqual({
+        url: '/example_api/todos',
+        errors: [{ detail: 'Something went wrong.', status: 500 }],
+        status: 500,
+        failedAt: expect.any(Number)
+      })
+
+      fetch.mockResponseOnce(JSON.stringify({ data: [] }))
+      await store.fetchAll('todos', { queryTag: 'myTodos' })
+
+      expect(store.isLoaded('myTodos')).toBe(true)
+      expect(store.errorFor('myTodos')).toBeUndefined()
+    })
+
+    it('keeps the errors of a tag by url', async () => {
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ detail: 'Something went wrong.', status: 500 }] }), { status: 500 })
+      await expect(store.fetchAll('todos')).rejects.toThrow('Something went wrong.')
+      fetch.mockResponseOnce(mockTodoResponse)
+      await store.fetchOne('todos', '1')
+
+      expect(store.errorFor('todos')).toMatchObject({ url: '/example_api/todos', status: 500 })
+      expect(store.errorFor('todos', '/example_api/todos')).toMatchObject({ status: 500 })
+      expect(store.errorFor('todos', '/example_api/todos/1')).toBeUndefined()
+    })
+
+    it('adds a request that failed with a response to loadedStates', async () => {
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ detail: 'Not found', status: 404 }] }), { status: 404 })
+      await expect(store.fetchOne('todos', '3')).rejects.toThrow('Not found')
+
+      expect(toJS(store.loadedStates.get('todos'))).toMatchObject(new Set([
+        JSON.stringify({ url: '/example_api/todos/3', type: 'todos', queryParams: undefined, queryTag: 'todos' })
+      ]))
+      expect(store.isLoaded('todos')).toBe(false)
+    })
+
+    it('keeps network errors in errorStates, but not cancellations', async () => {
+      fetch.mockRejectOnce(new Error('Network request failed'))
+      await expect(store.fetchAll('todos')).rejects.toThrow('Network request failed')
+
+      expect(store.errorFor('todos')).toMatchObject({ errors: [{ detail: 'Network request failed' }], status: undefined })
+
+      const controller = new AbortController()
+      controller.abort()
+      await expect(store.fetchAll('notes', { signal: controller.signal })).rejects.toThrow()
+
+      expect(store.errorFor('notes')).toBeUndefined()
+    })
+
+    it('tracks the loading and error states of a tag reactively', async () => {
+      const states = []
+      const dispose = autorun(() => {
+        states.push([store.isLoading('todos'), store.isLoaded('todos'), store.errorFor('todos')?.status])
+      })
+
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ detail: 'Not found', status: 404 }] }), { status: 404 })
+      await expect(store.fetchAll('todos')).rejects.toThrow()
+      fetch.mockResponseOnce(JSON.stringify({ data: [] }))
+      await store.fetchAll('todos')
+      dispose()
+
+      expect(states).toEqual([
+        [false, false, undefined],
+        [true, false, undefined],
+        [false, false, 404],
+        [true, false, 404],
+        [false, true, undefined]
+      ])
+    })
+
+    it('waits for a tag to load with whenLoaded', async () => {
+      fetch.mockResponseOnce(JSON.stringify({ data: [] }))
+      const loaded = store.whenLoaded('todos')
+      store.fetchAll('todos')
+
+      await expect(loaded).resolves.toBeUndefined()
+
+      fetch.mockResponseOnce(JSON.stringify({ errors: [{ detail: 'Forbidden', status: 403 }] }), { status: 403 })
+      const request = store.fetchAll('notes')
+
+      await expect(store.whenLoaded('notes')).rejects.toThrow('Forbidden')
+      await expect(request).rejects.toThrow('Forbidden')
+    })
+
     it('supports loading from a fetchMany', async () => {
       expect.assertions(4)
 
@@ -1414,6 +2508,23 @@ describe('Store', () => {
       expect(todos[0].notes).toHaveLength(0)
     })
 
+    it('records links', async () => {
+      const links = { next: '/example_api/todos?page[number]=2' }
+      fetch.mockResponse(JSON.stringify({ data: [mockTodoData.data], links }))
+      const todos = await store.fetchAll('todos')
+      expect(todos.links).toEqual(links)
+      expect(store.data.todos.links.get('/example_api/todos')).toEqual(links)
+      expect(store.getAll('todos', { queryParams: {} }).links).toEqual(links)
+    })
+
+    it('does not cache the result with skipCache', async () => {
+      fetch.mockResponse(mockTodosResponseWithMeta)
+      const todos = await store.fetchAll('todos', { skipCache: true })
+      expect(todos.meta.data).toEqual('present')
+      expect(store.data.todos.cache.size).toEqual(0)
+      expect(store.data.todos.meta.size).toEqual(0)
+    })
+
     it('only fetches once when called multiple times', async () => {
       expect.assertions(2)
 
@@ -1453,6 +2564,154 @@ describe('Store', () => {
     })
   })
 
+  describe('cancellation', () => {
+    const slowResponse = (body) => () => new Promise((resolve) => setTimeout(() => resolve(body), 50))
+
+    it('aborts a fetchAll with a signal', async () => {
+      expect.assertions(4)
+      fetch.mockResponse(slowResponse(mockTodosResponse))
+      const controller = new AbortController()
+
+      const promise = store.fetchAll('todos', { signal: controller.signal })
+      expect(store.loadingStates.get('todos').size).toEqual(1)
+      controller.abort()
+
+      await promise.catch((error) => {
+        expect(error.name).toEqual('AbortError')
+      })
+      expect(store.loadingStates.get('todos')).toBeUndefined()
+      expect(store.loadedStates.get('todos')).toBeUndefined()
+    })
+
+    it('stops listening to the signal once the request is done', async () => {
+      fetch.mockResponse(mockTodosResponse)
+      const controller = new AbortController()
+      const addEventListener = jest.spyOn(controller.signal, 'addEventListener')
+      const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener')
+
+      await store.fetchAll('todos', { signal: controller.signal })
+      await store.fetchAll('todos', { signal: controller.signal, queryParams: { page: 2 } })
+
+      expect(addEventListener).toHaveBeenCalledTimes(2)
+      expect(removeEventListener.mock.calls).toEqual(addEventListener.mock.calls.map(([event, listener]) => [event, listener]))
+      expect(store._signalListeners.size).toEqual(0)
+    })
+
+    it('aborts a fetchOne with a signal', async () => {
+      expect.assertions(2)
+      fetch.mockResponse(slowResponse(mockTodoResponse))
+      const controller = new AbortController()
+
+      const promise = store.fetchOne('todos', '1', { signal: controller.signal })
+      controller.abort()
+
+      await promise.catch((error) => {
+        expect(error.name).toEqual('AbortError')
+      })
+      expect(store.getOne('todos', '1')).toBeUndefined()
+    })
+
+    it('aborts a fetchMany with a signal', async () => {
+      expect.assertions(2)
+      fetch.mockResponse(slowResponse(JSON.stringify({ data: [] })))
+      const controller = new AbortController()
+
+      const promise = store.fetchMany('todos', createMockIds(300, '1000'), { signal: controller.signal })
+      controller.abort()
+
+      await promise.catch((error) => {
+        expect(error.name).toEqual('AbortError')
+      })
+      expect(store.loadingStates.get('todos')).toBeUndefined()
+    })
+
+    it('cancels every request loading under a tag', async () => {
+      expect.assertions(4)
+      fetch.mockResponse(slowResponse(mockTodosResponse))
+
+      const promises = [
+        store.fetchAll('todos', { queryTag: 'dashboard', queryParams: { a: 'b' } }),
+        store.fetchOne('todos', '1', { queryTag: 'dashboard' })
+      ]
+      const otherPromise = store.fetchAll('todos', { queryParams: { c: 'd' } })
+      store.cancel('dashboard')
+
+      const results = await Promise.allSettled(promises)
+      results.forEach(({ reason }) => expect(reason.name).toEqual('AbortError'))
+      expect(store.loadingStates.get('dashboard')).toBeUndefined()
+      expect(await otherPromise).toHaveLength(1)
+    })
+
+    it('only aborts a deduplicated request once every caller has cancelled', async () => {
+      fetch.mockResponse(slowResponse(mockTodosResponse))
+      const firstController = new AbortController()
+      const secondController = new AbortController()
+
+      const first = store.fetchAll('todos', { signal: firstController.signal })
+      const second = store.fetchAll('todos', { signal: secondController.signal })
+      expect(fetch.mock.calls).toHaveLength(1)
+      const fetchSignal = fetch.mock.calls[0][1].signal
+
+      firstController.abort()
+      await expect(first).rejects.toThrow('The request was aborted.')
+      expect(fetchSignal.aborted).toBe(false)
+
+      secondController.abort()
+      await expect(second).rejects.toThrow('The request was aborted.')
+      expect(fetchSignal.aborted).toBe(true)
+    })
+
+    it('lets other callers of a deduplicated request finish', async () => {
+      fetch.mockResponse(slowResponse(mockTodosResponse))
+      const controller = new AbortController()
+
+      const cancelled = store.fetchAll('todos', { signal: controller.signal })
+      const kept = store.fetchAll('todos')
+      controller.abort()
+
+      await expect(cancelled).rejects.toThrow('The request was aborted.')
+      expect(await kept).toHaveLength(1)
+      expect(fetch.mock.calls[0][1].signal.aborted).toBe(false)
+    })
+  })
+
+  describe('retries', () => {
+    beforeEach(() => {
+      store = new AppStore({
+        baseUrl: mockBaseUrl,
+        retryOptions: { attempts: 3, statuses: [503] }
+      })
+    })
+
+    it('merges the retry policy with the defaults', () => {
+      expect(store.retryOptions).toMatchObject({ attempts: 3, statuses: [503], backoff: 'fixed', mutations: {} })
+    })
+
+    it('retries a fetch that responds with a retried status', async () => {
+      fetch.mockResponseOnce('', { status: 503 })
+      fetch.mockResponseOnce(mockTodosResponse)
+
+      const todos = await store.fetchAll('todos')
+      expect(todos).toHaveLength(1)
+      expect(fetch.mock.calls).toHaveLength(2)
+    })
+
+    it('does not retry bulk saves unless mutations opt in', async () => {
+      fetch.mockResponse('', { status: 503 })
+      const todo = store.add('todos', { title: 'Pet Dog' })
+
+      await store.bulkSave('todos', [todo]).catch(() => {})
+      expect(fetch.mock.calls).toHaveLength(1)
+
+      fetch.resetMocks()
+      fetch.mockResponse('', { status: 503 })
+      store.retryOptions.mutations = { nonIdempotent: true }
+
+      await store.bulkSave('todos', [todo]).catch(() => {})
+      expect(fetch.mock.calls).toHaveLength(3)
+    })
+  })
+
   describe('getMany', () => {
     it('returns the records with the given type and ids from the store, never fetches from the server', () => {
       store.add('todos', createMockTodosAttributes(5, '1000'))
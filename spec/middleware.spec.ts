@@ -0,0 +1,229 @@
+/* eslint-disable jsdoc/require-jsdoc */
+/* global fetch */
+
+import { Model, Store } from '../src/main'
+import { stringType } from '../src/utils'
+import { defaultFetchOptions, headersOfInterest, runMiddleware } from '../src/middleware'
+
+class Todo extends Model {
+  static type = 'todos'
+  static endpoint = 'todos'
+
+  static attributeDefinitions = {
+    title: {
+      transformer: stringType,
+      defaultValue: ''
+    }
+  }
+}
+
+class AppStore extends Store {
+  static models = [Todo]
+}
+
+const mockTodoResponse = JSON.stringify({ data: { id: '1', type: 'todos', attributes: { title: 'Do taxes' } } })
+
+describe('middleware', () => {
+  let store
+
+  beforeEach(() => {
+    fetch.resetMocks()
+    store = new AppStore({
+      baseUrl: '/example_api',
+      defaultFetchOptions: { headers: { 'Content-Type': 'application/vnd.api+json' } },
+      headersOfInterest: ['X-Mobx-Example']
+    })
+  })
+
+  describe('runMiddleware', () => {
+    it('runs middleware in order around the handler', async () => {
+      const calls = []
+      const middleware = [
+        async (request, next) => {
+          calls.push('first')
+          const response = await next(request)
+          calls.push('first done')
+          return response
+        },
+        (request, next) => {
+          calls.push('second')
+          return next({ ...request, url: `${request.url}?traced=true` })
+        }
+      ]
+      const handler = jest.fn((request) => request.url)
+
+      expect(await runMiddleware(middleware, { url: '/todos' }, handler)).toEqual('/todos?traced=true')
+      expect(calls).toEqual(['first', 'second', 'first done'])
+    })
+
+    it('lets middleware short-circuit the chain', async () => {
+      const handler = jest.fn()
+      const response = await runMiddleware([() => 'cached'], { url: '/todos' }, handler)
+
+      expect(response).toEqual('cached')
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('passes the same request when next is called without one', async () => {
+      const handler = jest.fn((request) => request.url)
+      expect(await runMiddleware([(request, next) => next()], { url: '/todos' }, handler)).toEqual('/todos')
+    })
+  })
+
+  describe('built-in middleware', () => {
+    it('starts every store with the default middleware', () => {
+      expect(store.middleware).toEqual([defaultFetchOptions, headersOfInterest])
+    })
+
+    it('merges the default fetch options', async () => {
+      fetch.mockResponse(mockTodoResponse)
+      await store.fetchOne('todos', '1')
+
+      expect(fetch.mock.calls[0][1].headers).toEqual({ 'Content-Type': 'application/vnd.api+json' })
+    })
+
+    it('records headers of interest', async () => {
+      fetch.mockResponse(mockTodoResponse, { headers: { 'X-Mobx-Example': '123', 'X-Ignore-Me': 'ignored' } })
+      await store.fetchOne('todos', '1')
+
+      expect(store.lastResponseHeaders).toEqual({ 'X-Mobx-Example': '123' })
+    })
+  })
+
+  describe('with a store', () => {
+    it('receives the url, options, type and operation', async () => {
+      const middleware = jest.fn((request, next) => next(request))
+      store.use(middleware)
+      fetch.mockResponse(mockTodoResponse)
+
+      await store.fetchOne('todos', '1')
+      const todo = store.getOne('todos', '1')
+      todo.title = 'Do more taxes'
+      await todo.save()
+      await todo.destroy()
+
+      const requests = middleware.mock.calls.map(([request]) => request)
+      expect(requests.map(({ operation }) => operation)).toEqual(['fetchOne', 'save', 'destroy'])
+      expect(requests.map(({ type }) => type)).toEqual(['todos', 'todos', 'todos'])
+      expect(requests[0].url).toEqual('/example_api/todos/1')
+      expect(requests[1].options).toMatchObject({ method: 'PATCH', headers: { 'Content-Type': 'application/vnd.api+json' } })
+      expect(requests[0].store).toBe(store)
+    })
+
+    it('can rewrite the request', async () => {
+      store.use((request, next) => next({
+        ...request,
+        options: { ...request.options, headers: { ...request.options.headers, 'X-Request-Id': 'abc' } }
+      }))
+      fetch.mockResponse(mockTodoResponse)
+
+      await store.fetchOne('todos', '1')
+      expect(fetch.mock.calls[0][1].headers['X-Request-Id']).toEqual('abc')
+    })
+
+    it('can answer the request without going to the server', async () => {
+      store.use(() => new Response(mockTodoResponse))
+
+      const todo = await store.fetchOne('todos', '1')
+      expect(todo.title).toEqual('Do taxes')
+      expect(fetch.mock.calls).toHaveLength(0)
+    })
+
+    it('is configured with the middleware option', () => {
+      const middleware = jest.fn()
+      store = new AppStore({ middleware: [middleware] })
+      expect(store.middleware).toEqual([defaultFetchOptions, headersOfInterest, middleware])
+    })
+  })
+
+  describe('authentication', () => {
+    let token, refreshToken
+
+    // responds with a 401 unless the request has the current token
+    const mockServer = (body) => (request) => Promise.resolve(
+      request.headers.get('Authorization') === `Bearer ${token}`
+        ? { body, status: 200 }
+        : { body: JSON.stringify({ errors: [{ status: '401', detail: 'Expired' }] }), status: 401 }
+    )
+
+    beforeEach(() => {
+      token = 'fresh'
+      refreshToken = jest.fn((store) => {
+        store.defaultFetchOptions = { headers: { Authorization: `Bearer ${token}` } }
+      })
+      store = new AppStore({
+        baseUrl: '/example_api',
+        defaultFetchOptions: { headers: { Authorization: 'Bearer expired' } },
+        authOptions: { refreshToken }
+      })
+    })
+
+    it('runs before every other middleware', () => {
+      expect(store.middleware).toHaveLength(3)
+      expect(store.middleware.slice(1)).toEqual([defaultFetchOptions, headersOfInterest])
+    })
+
+    it('refreshes the token and replays the request', async () => {
+      fetch.mockResponse(mockServer(mockTodoResponse))
+
+      const todo = await store.fetchOne('todos', '1')
+
+      expect(todo.title).toEqual('Do taxes')
+      expect(refreshToken).toHaveBeenCalledTimes(1)
+      expect(fetch.mock.calls).toHaveLength(2)
+      expect(store.loadingStates.get('todos')).toBeUndefined()
+    })
+
+    it('refreshes once for every request that fails meanwhile', async () => {
+      fetch.mockResponse(mockServer(mockTodoResponse))
+
+      await Promise.all([
+        store.fetchOne('todos', '1'),
+        store.fetchOne('todos', '1', { queryParams: { include: 'notes' } })
+      ])
+
+      expect(refreshToken).toHaveBeenCalledTimes(1)
+    })
+
+    it('replays a save through updateRecordsFromResponse', async () => {
+      fetch.mockResponse(mockServer(mockTodoResponse))
+      const todo = store.add('todos', { title: 'Do taxes' })
+
+      await todo.save()
+
+      expect(todo.id).toEqual('1')
+      expect(todo.isNew).toBe(false)
+      expect(todo.isInFlight).toBe(false)
+      expect(todo.isDirty).toBe(false)
+    })
+
+    it('only replays a request once', async () => {
+      token = 'never'
+      refreshToken.mockImplementation((store) => {
+        store.defaultFetchOptions = { headers: { Authorization: 'Bearer still-expired' } }
+      })
+      fetch.mockResponse(mockServer(mockTodoResponse))
+
+      await expect(store.fetchOne('todos', '1')).rejects.toThrow('Expired')
+      expect(fetch.mock.calls).toHaveLength(2)
+    })
+
+    it('emits a single authenticationFailed event if the refresh fails', async () => {
+      const error = new Error('Logged out')
+      refreshToken.mockRejectedValue(error)
+      const onFailure = jest.fn()
+      store.on('authenticationFailed', onFailure)
+      fetch.mockResponse(mockServer(mockTodoResponse))
+
+      const results = await Promise.allSettled([
+        store.fetchOne('todos', '1'),
+        store.fetchOne('todos', '1', { queryParams: { include: 'notes' } })
+      ])
+
+      expect(results.map(({ status }) => status)).toEqual(['rejected', 'rejected'])
+      expect(onFailure).toHaveBeenCalledTimes(1)
+      expect(onFailure).toHaveBeenCalledWith({ error })
+      expect(fetch.mock.calls).toHaveLength(2)
+    })
+  })
+})
@@ -0,0 +1,75 @@
+/* eslint-disable jsdoc/require-jsdoc */
+
+import os from 'os'
+import path from 'path'
+import { mkdtempSync, rmSync } from 'fs'
+import { FileSystemStorage, MemoryStorage, WebStorage } from '../src/storage'
+
+describe('storage', () => {
+  describe('MemoryStorage', () => {
+    it('reads, writes and deletes items', () => {
+      const storage = new MemoryStorage()
+      expect(storage.getItem('key')).toBeNull()
+
+      storage.setItem('key', 'value')
+      expect(storage.getItem('key')).toEqual('value')
+
+      storage.removeItem('key')
+      expect(storage.getItem('key')).toBeNull()
+    })
+  })
+
+  describe('WebStorage', () => {
+    afterEach(() => window.localStorage.clear())
+
+    it('uses localStorage with prefixed keys', () => {
+      const storage = new WebStorage({ prefix: 'app:' })
+      storage.setItem('key', 'value')
+
+      expect(window.localStorage.getItem('app:key')).toEqual('value')
+      expect(storage.getItem('key')).toEqual('value')
+
+      storage.removeItem('key')
+      expect(window.localStorage.getItem('app:key')).toBeNull()
+    })
+
+    it('warns instead of throwing when the storage is full', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const storage = new WebStorage({
+        storage: { setItem: () => { throw new Error('QuotaExceededError') } }
+      })
+
+      expect(() => storage.setItem('key', 'value')).not.toThrow()
+      expect(warn).toHaveBeenCalledWith("Could not write 'key' to the storage: QuotaExceededError")
+      warn.mockRestore()
+    })
+  })
+
+  describe('FileSystemStorage', () => {
+    let directory
+
+    beforeEach(() => {
+      directory = mkdtempSync(path.join(os.tmpdir(), 'mobx-async-store-'))
+    })
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true })
+    })
+
+    it('keeps each item in a file', async () => {
+      const storage = new FileSystemStorage({ directory: path.join(directory, 'cache') })
+      expect(await storage.getItem('store/v1')).toBeNull()
+
+      await storage.setItem('store/v1', '{"data":{}}')
+      expect(await storage.getItem('store/v1')).toEqual('{"data":{}}')
+      expect(await new FileSystemStorage({ directory: path.join(directory, 'cache') }).getItem('store/v1')).toEqual('{"data":{}}')
+
+      await storage.removeItem('store/v1')
+      expect(await storage.getItem('store/v1')).toBeNull()
+    })
+
+    it('needs a directory', () => {
+      expect(() => new FileSystemStorage()).toThrow('FileSystemStorage needs a directory')
+    })
+  })
+})
@@ -1,5 +1,5 @@
 /* global fetch */
-import { QueryString, deriveIdQueryStrings, fetchWithRetry, URL_MAX_LENGTH } from '../src/utils'
+import { QueryString, deriveIdQueryStrings, errorsFromError, fetchWithRetry, retryAfterDelay, retryDelay, defaultRetryOptions, URL_MAX_LENGTH } from '../src/utils'
 
 describe('QueryString', () => {
   const queryString = 'fields[articles][]=title&fields[articles][]=body&fields[people]=name'
@@ -43,7 +43,18 @@ describe('deriveIdQueryStrings', () => {
   })
 })
 
-// function fetchWithRetry (url, fetchOptions, retryAttempts, delay, handleResponse) {
+describe('errorsFromError', () => {
+  it('parses errors serialized by the store', () => {
+    const errors = [{ detail: 'Something went wrong.', status: 500 }]
+    expect(errorsFromError(new Error(JSON.stringify(errors)))).toEqual(errors)
+  })
+
+  it('wraps other errors', () => {
+    expect(errorsFromError(new TypeError('Failed to fetch'))).toEqual([{ detail: 'Failed to fetch' }])
+  })
+})
+
+// function fetchWithRetry (url, fetchOptions, retryOptions, registry) {
 describe('fetchWithRetry', () => {
   let url, fetchOptions
 
@@ -55,7 +66,7 @@ describe('fetchWithRetry', () => {
 
   it('will retry the request if there is a fetch failure', async () => {
     fetch.mockRejectOnce('network error')
-    await fetchWithRetry(url, fetchOptions, 2, 0)
+    await fetchWithRetry(url, fetchOptions, { attempts: 2 })
     expect(fetch.mock.calls.length).toEqual(2)
   })
 
@@ -63,18 +74,118 @@ describe('fetchWithRetry', () => {
     expect.assertions(1)
 
     fetch.mockReject('network error')
-    await fetchWithRetry(url, fetchOptions, 5, 0).catch(() => {
+    await fetchWithRetry(url, fetchOptions, { attempts: 5 }).catch(() => {
       expect(fetch.mock.calls.length).toEqual(5)
     })
   })
 
+  it('does not retry an aborted request', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await expect(fetchWithRetry(url, { signal: controller.signal }, { attempts: 5 })).rejects.toThrow('The request was aborted.')
+    expect(fetch.mock.calls.length).toEqual(0)
+  })
+
   it('stops retrying once it gets a successful response', async () => {
     expect.assertions(2)
 
     fetch.mockRejectOnce('network error')
     fetch.mockResponseOnce('success')
-    const result = await fetchWithRetry(url, fetchOptions, 5, 0)
+    const result = await fetchWithRetry(url, fetchOptions, { attempts: 5 })
     expect(result.body.toString()).toEqual('success')
     expect(fetch.mock.calls.length).toEqual(2)
   })
+
+  it('retries the statuses in the policy', async () => {
+    fetch.mockResponseOnce('', { status: 503 })
+    fetch.mockResponseOnce('success')
+    const result = await fetchWithRetry(url, fetchOptions, { attempts: 3 })
+    expect(result.status).toEqual(200)
+    expect(fetch.mock.calls.length).toEqual(2)
+  })
+
+  it('returns the last response when the attempts run out', async () => {
+    fetch.mockResponse('', { status: 503 })
+    const result = await fetchWithRetry(url, fetchOptions, { attempts: 3 })
+    expect(result.status).toEqual(503)
+    expect(fetch.mock.calls.length).toEqual(3)
+  })
+
+  it('does not retry other statuses', async () => {
+    fetch.mockResponse('', { status: 422 })
+    await fetchWithRetry(url, fetchOptions, { attempts: 3 })
+    expect(fetch.mock.calls.length).toEqual(1)
+  })
+
+  it('does not retry non-idempotent requests unless asked to', async () => {
+    fetch.mockReject(new Error('network error'))
+    await expect(fetchWithRetry(url, { method: 'POST' }, { attempts: 3 })).rejects.toThrow('network error')
+    expect(fetch.mock.calls.length).toEqual(1)
+
+    fetch.resetMocks()
+    fetch.mockReject(new Error('network error'))
+    await expect(fetchWithRetry(url, { method: 'POST' }, { attempts: 3, nonIdempotent: true })).rejects.toThrow('network error')
+    expect(fetch.mock.calls.length).toEqual(3)
+  })
+
+  it('stops retrying when the time limit would be passed', async () => {
+    fetch.mockResponse('', { status: 503 })
+    const result = await fetchWithRetry(url, fetchOptions, { attempts: 5, delay: 20, maxElapsed: 30 })
+    expect(result.status).toEqual(503)
+    expect(fetch.mock.calls.length).toEqual(2)
+  })
+
+  it('stops waiting when the request is cancelled', async () => {
+    const controller = new AbortController()
+    fetch.mockResponse('', { status: 503 })
+    const request = fetchWithRetry(url, { signal: controller.signal }, { attempts: 2, delay: 1000 })
+    setTimeout(() => controller.abort(), 10)
+    await expect(request).rejects.toThrow('The request was aborted.')
+    expect(fetch.mock.calls.length).toEqual(1)
+  })
+})
+
+describe('retryDelay', () => {
+  const options = { ...defaultRetryOptions, delay: 100 }
+
+  it('waits the same time with fixed backoff', () => {
+    expect(retryDelay(options, 1)).toEqual(100)
+    expect(retryDelay(options, 3)).toEqual(100)
+  })
+
+  it('doubles the wait with exponential backoff', () => {
+    const exponential = { ...options, backoff: 'exponential' }
+    expect(retryDelay(exponential, 1)).toEqual(100)
+    expect(retryDelay(exponential, 3)).toEqual(400)
+    expect(retryDelay({ ...exponential, maxDelay: 250 }, 3)).toEqual(250)
+  })
+
+  it('adds jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5)
+    expect(retryDelay({ ...options, jitter: true }, 1)).toEqual(50)
+    Math.random.mockRestore()
+  })
+
+  it('honours the Retry-After header', () => {
+    const response = new Response('', { status: 429, headers: { 'Retry-After': '2' } })
+    expect(retryDelay(options, 1, response)).toEqual(2000)
+    expect(retryDelay({ ...options, retryAfter: false }, 1, response)).toEqual(100)
+  })
+})
+
+describe('retryAfterDelay', () => {
+  it('reads a number of seconds', () => {
+    expect(retryAfterDelay(new Response('', { headers: { 'Retry-After': '3' } }))).toEqual(3000)
+  })
+
+  it('reads a date', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))
+    expect(retryAfterDelay(new Response('', { headers: { 'Retry-After': 'Wed, 21 Oct 2015 07:28:05 GMT' } }))).toEqual(5000)
+    Date.now.mockRestore()
+  })
+
+  it('is null without a valid header', () => {
+    expect(retryAfterDelay(new Response(''))).toBeNull()
+    expect(retryAfterDelay(new Response('', { headers: { 'Retry-After': 'soon' } }))).toBeNull()
+  })
 })
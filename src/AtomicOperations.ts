@@ -0,0 +1,252 @@
+import { runInAction } from 'mobx'
+import { parseAtomicErrorPointer, parseErrors } from './utils'
+
+/**
+ * The URI of the JSON:API Atomic Operations extension
+ */
+const ATOMIC_EXTENSION = 'https://jsonapi.org/ext/atomic'
+
+/**
+ * The operation of `Store#invalidateFor` that each kind of atomic operation counts as
+ */
+const INVALIDATION_OPERATIONS = { add: 'create', update: 'update', remove: 'destroy' }
+
+/**
+ * Collects operations for `Store#atomic`, which sends them in one request with the JSON:API
+ * Atomic Operations extension. The server applies all of them or none.
+ *
+ * New records are sent with their tmp id as a local identifier, `lid`, and relationships to new
+ * records added earlier in the same request refer to them by `lid`. Once the request succeeds,
+ * each result in `atomic:results` is applied to the record of its operation. If it fails, the
+ * errors are added to the records by the index of their operation in `source.pointer`.
+ *
+ *   await store.atomic((operations) => {
+ *     operations.add(project)
+ *     operations.add(todo, { relationships: ['project'] })
+ *     operations.update(otherTodo, { attributes: ['title'] })
+ *     operations.remove(note)
+ *   })
+ */
+class AtomicOperations {
+  /**
+   * The operations in the order they were added, each with its record
+   *
+   * @type {Array}
+   */
+  operations = []
+
+  /**
+   * Sets up an empty list of operations
+   *
+   * @param {object} store the store that sends the operations
+   */
+  constructor (store) {
+    this.store = store
+  }
+
+  /**
+   * Adds an operation that creates a new record
+   *
+   * @param {object} record a new record
+   * @param {object} options { attributes, relationships } to send, as in `Model#jsonapi`
+   * @returns {AtomicOperations} the operations, for chaining
+   */
+  add (record, options = {}) {
+    if (!record.isNew) {
+      throw new Error('Invariant violated: only new records can be added in an atomic request')
+    }
+
+    const data = this._data(record, options)
+    data.lid = record.id
+
+    return this._push(record, { op: 'add', data })
+  }
+
+  /**
+   * Adds an operation that updates a persisted record
+   *
+   * @param {object} record a persisted record
+   * @param {object} options { attributes, relationships } to send, as in `Model#jsonapi`
+   * @returns {AtomicOperations} the operations, for chaining
+   */
+  update (record, options = {}) {
+    if (record.isNew) {
+      throw new Error('Invariant violated: all records must have a persisted id to perform an update')
+    }
+
+    return this._push(record, { op: 'update', data: this._data(record, options) })
+  }
+
+  /**
+   * Adds an operation that deletes a persisted record
+   *
+   * @param {object} record a persisted record
+   * @returns {AtomicOperations} the operations, for chaining
+   */
+  remove (record) {
+    if (record.isNew) {
+      throw new Error('Invariant violated: all records must have a persisted id to perform a remove')
+    }
+
+    return this._push(record, { op: 'remove', ref: { type: record.type, id: String(record.id) } })
+  }
+
+  /**
+   * Sends the operations, applies the results to the records and removes the deleted ones
+   * from the store
+   *
+   * @param {object} options { url, signal }, where `url` defaults to `{baseUrl}/operations`
+   * @returns {Promise} the records of the operations, in order
+   */
+  async commit (options = {}) {
+    const { store, operations } = this
+    const records = operations.map(({ record }) => record)
+    const contentType = `application/vnd.api+json; ext="${ATOMIC_EXTENSION}"`
+
+    records.forEach((record) => {
+      record.isInFlight = true
+    })
+
+    let response
+    try {
+      response = await store.fetch(options.url || `${store.baseUrl}/operations`, {
+        headers: {
+          ...store.defaultFetchOptions.headers,
+          'Content-Type': contentType,
+          'Accept': contentType
+        },
+        method: 'POST',
+        body: JSON.stringify({ 'atomic:operations': operations.map(({ operation }) => operation) }),
+        signal: options.signal,
+        retryOptions: store.retryOptions.mutations,
+        operation: 'atomic'
+      })
+    } finally {
+      runInAction(() => {
+        records.forEach((record) => {
+          record.isInFlight = false
+        })
+      })
+    }
+
+    if (response.status === 200 || response.status === 204) {
+      const json = response.status === 200 ? await response.json() : {}
+      this._applyResults(json['atomic:results'] || [])
+      return records
+    }
+
+    const errors = await parseErrors(response, store.errorMessages)
+    this._addErrors(errors)
+    throw new Error(JSON.stringify(errors))
+  }
+
+  /**
+   * Adds an operation to the list
+   *
+   * @param {object} record the record of the operation
+   * @param {object} operation the operation object
+   * @returns {AtomicOperations} the operations, for chaining
+   * @private
+   */
+  _push (record, operation) {
+    this.operations.push({ record, operation })
+    return this
+  }
+
+  /**
+   * Serializes a record for an operation, referring to new records by `lid`
+   *
+   * @param {object} record the record
+   * @param {object} options { attributes, relationships }
+   * @returns {object} the resource object
+   * @private
+   */
+  _data (record, options) {
+    const data = record.jsonapi(options)
+
+    Object.entries(data.relationships || {}).forEach(([name, relationship]) => {
+      const linkage = relationship?.data
+      if (!linkage) return
+
+      relationship.data = Array.isArray(linkage)
+        ? linkage.map((identifier) => this._identifier(identifier, name))
+        : this._identifier(linkage, name)
+    })
+
+    return data
+  }
+
+  /**
+   * Returns the identifier of a related record, with a `lid` if it is added in this request
+   *
+   * @param {object} identifier { id, type }
+   * @param {string} name the relationship name, for the error
+   * @returns {object} { id, type } or { lid, type }
+   * @private
+   */
+  _identifier (identifier, name) {
+    const { id, type } = identifier
+    const relatedRecord = this.store.getRecord(type, id)
+    if (!relatedRecord?.isNew) return identifier
+
+    const isAdded = this.operations.some(({ record, operation }) => operation.op === 'add' && record === relatedRecord)
+    if (!isAdded) {
+      throw new Error(`Invariant violated: tried to save a relationship to an unpersisted record: "${name}"`)
+    }
+
+    return { lid: String(id), type }
+  }
+
+  /**
+   * Applies `atomic:results` to the records of their operations. Removed records leave the store,
+   * and the others are persisted with the data from their result, if there is any.
+   *
+   * @param {Array} results the results, in the order of the operations
+   * @private
+   */
+  _applyResults (results) {
+    const { store } = this
+
+    runInAction(() => {
+      this.operations.forEach(({ record, operation }, index) => {
+        const data = results[index]?.data
+
+        if (operation.op === 'remove') {
+          store.remove(record.type, record.id)
+        } else if (data) {
+          store.updateRecordFromData(record, data)
+        } else {
+          record.takeSnapshot({ persisted: true })
+        }
+      })
+
+      results.forEach((result) => {
+        if (result?.included) store.createOrUpdateModelsFromData(result.included)
+      })
+    })
+
+    this.operations.forEach(({ record, operation }) => {
+      store.invalidateFor(record, INVALIDATION_OPERATIONS[operation.op])
+    })
+  }
+
+  /**
+   * Adds errors to the records of the operations their `source.pointer` refers to
+   *
+   * @param {Array} errors JSON:API errors
+   * @private
+   */
+  _addErrors (errors) {
+    runInAction(() => {
+      errors.forEach((error) => {
+        const { index, key } = parseAtomicErrorPointer(error)
+        const record = this.operations[index]?.record
+        if (!record || key == null) return
+
+        record.errors[key] = [...(record.errors[key] || []), error]
+      })
+    })
+  }
+}
+
+export default AtomicOperations
@@ -8,7 +8,7 @@ import {
   observable
 } from 'mobx'
 
-import { diff, parseErrors } from './utils'
+import { diff, isAbortError, parseErrors, resourceLinkage } from './utils'
 
 import cloneDeep from 'lodash/cloneDeep'
 import isEqual from 'lodash/isEqual'
@@ -82,6 +82,14 @@ const mobxAnnotations = {
   relationshipNames: computed,
   defaultAttributes: computed,
   isInFlight: observable,
+  isPendingDestroy: observable,
+  loadedFields: observable.ref,
+  loadedIncludes: observable,
+  documentMeta: observable.ref,
+  documentLinks: observable.ref,
+  documentJsonapi: observable.ref,
+  _setDocument: action,
+  markIncludeLoaded: action,
   errors: observable,
   relationships: observable,
   _snapshots: observable,
@@ -90,12 +98,16 @@ const mobxAnnotations = {
   rollback: action,
   undo: action,
   save: action,
+  saveRelationship: action,
+  rollbackRelationship: action,
   reload: action,
+  _setPersistedRelationship: action,
   validate: action,
   destroy: action,
   takeSnapshot: action,
   clearSnapshots: action,
   _applySnapshot: action,
+  _revertToSnapshot: action,
   errorForKey: action,
   jsonapi: action,
   updateAttributes: action,
@@ -156,6 +168,57 @@ class Model {
 
   static endpoint = ''
 
+  /**
+   * Overrides the store's `cacheOptions` for queries of this type. Defined on the class.
+   *
+   *   static cacheOptions = { maxAge: 60000, staleWhileRevalidate: true }
+   *
+   * @type {object}
+   * @static
+   */
+
+  static cacheOptions = {}
+
+  /**
+   * Cached queries to mark stale after records of this type are created, updated or destroyed.
+   * Defined on the class. See `Store#invalidateFor` for the rules.
+   *
+   *   static invalidates = {
+   *     create: ['todos', { type: 'projects', id: (todo) => todo.project?.id, include: 'todos' }],
+   *     destroy: ['todos']
+   *   }
+   *
+   * @type {object}
+   * @static
+   */
+
+  static invalidates = {}
+
+  /**
+   * Attributes and relationships to index, so records of this type can be found by their value
+   * with `Store#getBy`, and `Store#where` filters on them without going through every record.
+   * Defined on the class. A relationship is indexed by the ids of its related records.
+   *
+   *   static indexes = ['status', 'project']
+   *
+   * @type {Array}
+   * @static
+   */
+
+  static indexes = []
+
+  /**
+   * The version of the persisted data of this type, for `PersistentCache` migrations. Defined on
+   * the class. Without it, the version is a hash of the attribute and relationship definitions.
+   *
+   *   static schemaVersion = '2'
+   *
+   * @type {string}
+   * @static
+   */
+
+  static schemaVersion = null
+
   /**
    * The unique document identifier. Should not change except when persisted.
    *
@@ -325,6 +388,66 @@ class Model {
    */
   isInFlight = false
 
+  /**
+   * True while an optimistic `destroy` waits for the server. The record is hidden from `getAll`
+   * until then, and shown again if the destroy fails.
+   *
+   * @type {boolean}
+   * @default false
+   */
+  isPendingDestroy = false
+
+  /**
+   * The attributes and relationships that have been loaded from the server, when the record
+   * was fetched with a sparse fieldset. `null` means the record is complete.
+   *
+   *   await store.fetchOne('todos', 1, { queryParams: { fields: { todos: 'title' } } })
+   *   todo.loadedFields
+   *   => Set(['title'])
+   *
+   * @type {Set}
+   * @default null
+   */
+  loadedFields = null
+
+  /**
+   * The relationships whose records have been loaded with an `include`
+   *
+   * @type {Set}
+   */
+  loadedIncludes = new Set()
+
+  /**
+   * The top-level `meta` of the last document the record was fetched or saved with, such as
+   * permissions or totals the server computed for it, or null if that document had none
+   *
+   *   await store.fetchOne('todos', 1)
+   *   todo.documentMeta
+   *   => { permissions: { update: true } }
+   *
+   * @type {object}
+   * @default null
+   */
+  documentMeta = null
+
+  /**
+   * The top-level `links` of the last document the record was fetched or saved with, or null
+   * if that document had none
+   *
+   * @type {object}
+   * @default null
+   */
+  documentLinks = null
+
+  /**
+   * The top-level `jsonapi` object of the last document the record was fetched or saved with,
+   * or null if that document had none
+   *
+   * @type {object}
+   * @default null
+   */
+  documentJsonapi = null
+
   /**
    * A hash of errors from the server
    * ```
@@ -422,7 +545,11 @@ class Model {
   }
 
   /**
-   * creates or updates a record.
+   * creates or updates a record. Passing an AbortSignal as `signal` cancels the request.
+   * `retryOptions` overrides the store's retry policy for mutations. If the store works offline,
+   * the save is queued while the server can't be reached, and resolves to the record right away.
+   * With `optimistic: true`, the changes count as persisted straight away, and are reverted if the
+   * request fails.
    *
    * @param {object} options query params and sparse fields to use
    * @returns {Promise} the persisted record
@@ -436,7 +563,8 @@ class Model {
     const {
       queryParams,
       relationships,
-      attributes
+      attributes,
+      signal
     } = options
 
     const {
@@ -447,6 +575,7 @@ class Model {
       dirtyAttributes
     } = this
 
+    const { mutationQueue } = this.store
     const hasAttributesToSave = dirtyAttributes.size > 0
     const hasRelationshipsToSave = relationships && dirtyRelationships.size > 0
 
@@ -472,23 +601,161 @@ class Model {
       relationships.forEach((rel) => {
         if (Array.isArray(this[rel])) {
           this[rel].forEach((item, i) => {
-            if (item && item.isNew) {
+            if (item && item.isNew && !mutationQueue.hasQueuedCreate(item.constructor.type, item.id)) {
               throw new Error(`Invariant violated: tried to save a relationship to an unpersisted record: "${rel}[${i}]"`)
             }
           })
-        } else if (this[rel] && this[rel].isNew) {
+        } else if (this[rel] && this[rel].isNew && !mutationQueue.hasQueuedCreate(this[rel].constructor.type, this[rel].id)) {
           throw new Error(`Invariant violated: tried to save a relationship to an unpersisted record: "${rel}"`)
         }
       })
     }
 
-    const response = this.store.fetch(url, { method, body })
-    const result = await this.store.updateRecordsFromResponse(response, this)
+    // an optimistic save counts as committed straight away, and is reverted if it fails
+    const { optimistic } = options
+    const snapshotsBeforeSave = this._snapshots.slice()
+    const preSaveSnapshot = this.persistedOrFirstSnapshot
+    if (optimistic) this.takeSnapshot({ persisted: true })
+
+    const mutation = { type: constructor.type, id, method, url, body }
+    if (mutationQueue.shouldQueue) {
+      await mutationQueue.enqueue(mutation)
+      return this
+    }
+
+    // a request that can't reach the server is queued if the store works offline
+    let networkError = false
+    const retryOptions = { ...this.store.retryOptions.mutations, ...options.retryOptions }
+    const response = this.store.fetch(url, { method, body, signal, retryOptions, type: constructor.type, operation: 'save' })
+      .catch((error) => {
+        networkError = mutationQueue.enabled && !isAbortError(error)
+        throw error
+      })
+
+    let result
+    try {
+      result = await this.store.updateRecordsFromResponse(response, this)
+    } catch (error) {
+      if (!networkError) {
+        if (optimistic) {
+          this._revertToSnapshot(preSaveSnapshot, { attributes, relationships })
+          this._snapshots = snapshotsBeforeSave
+        }
+        throw error
+      }
+
+      this.errors = {}
+      mutationQueue.setOnline(false)
+      await mutationQueue.enqueue(mutation)
+      return this
+    }
     this.takeSnapshot({ persisted: true })
+    this.store.invalidateFor(this, isNew ? 'create' : 'update')
 
     return result
   }
 
+  /**
+   * Saves the changes to one relationship through its relationship endpoint, `links.self` or
+   * `/{endpoint}/{id}/relationships/{relationship}`, leaving the rest of the record unsaved.
+   * A to-one relationship is sent with `PATCH`. For a to-many relationship, added members are
+   * sent with `POST` and removed members with `DELETE`, and the whole relationship is sent with
+   * `PATCH` if members were both added and removed, or with `replace: true`. If the server
+   * responds with the linkage, it replaces the local one.
+   *
+   *   todo.user = user
+   *   await todo.saveRelationship('user')
+   *
+   * @param {string} name the relationship name
+   * @param {object} options { replace, signal, retryOptions }
+   * @returns {Promise} the record
+   */
+  async saveRelationship (name, options = {}) {
+    const { constructor: { type }, isNew, store } = this
+    const { direction, inverse } = this.relationshipDefinitions[name] || {}
+
+    if (!direction) {
+      throw new Error(`Invariant violated: tried to save an undefined relationship: "${name}"`)
+    }
+    if (isNew) {
+      throw new Error(`Invariant violated: tried to save a relationship of an unpersisted record: "${name}"`)
+    }
+    if (!this.dirtyRelationships.has(name) && !options.replace) return this
+
+    const isToMany = direction === 'toMany'
+    const current = toJS(this.relationships[name]?.data) ?? (isToMany ? [] : null)
+    const persisted = toJS(this.persistedOrFirstSnapshot.relationships?.[name]?.data) ?? (isToMany ? [] : null)
+
+    const references = [].concat(current || [])
+    references.forEach((reference) => {
+      const relatedRecord = store.getRecord(reference.type, reference.id)
+      if (relatedRecord?.isNew) {
+        throw new Error(`Invariant violated: tried to save a relationship to an unpersisted record: "${name}"`)
+      }
+    })
+
+    let method = 'PATCH'
+    let data = current
+    if (isToMany && !options.replace) {
+      const added = current.filter(({ id, type }) => !persisted.some((other) => other.id === id && other.type === type))
+      const removed = persisted.filter(({ id, type }) => !current.some((other) => other.id === id && other.type === type))
+
+      if (added.length > 0 && removed.length === 0) {
+        method = 'POST'
+        data = added
+      } else if (removed.length > 0 && added.length === 0) {
+        method = 'DELETE'
+        data = removed
+      }
+    }
+
+    const url = store.relationshipUrl(this, name, 'self')
+    const retryOptions = { ...store.retryOptions.mutations, ...options.retryOptions }
+    const response = await store.fetch(url, {
+      method,
+      body: JSON.stringify({ data }),
+      signal: options.signal,
+      retryOptions,
+      type,
+      operation: 'saveRelationship'
+    })
+
+    if (![200, 202, 204].includes(response.status)) {
+      const errors = await parseErrors(response, store.errorMessages)
+      throw new Error(JSON.stringify(errors))
+    }
+
+    const json = response.status === 200 ? await response.json().catch(() => ({})) : {}
+    const linkage = json.data !== undefined ? resourceLinkage(json.data) : current
+
+    runInAction(() => {
+      this._setPersistedRelationship(name, linkage)
+
+      // the server keeps the inverse side in sync, so it is persisted on the related records too
+      if (inverse) {
+        [...references, ...[].concat(persisted || [])].forEach(({ id, type }) => {
+          const relatedRecord = store.getRecord(type, id)
+          if (relatedRecord && relatedRecord.relationships[inverse.name] !== undefined) {
+            relatedRecord._setPersistedRelationship(inverse.name, toJS(relatedRecord.relationships[inverse.name]?.data) ?? null)
+          }
+        })
+      }
+    })
+    store.invalidateFor(this, 'update')
+
+    return this
+  }
+
+  /**
+   * Reverts one relationship to its last persisted state, including the inverse relationships
+   * of the related records, and leaves the other changes to the record as they are
+   *
+   * @param {string} name the relationship name
+   */
+  rollbackRelationship (name) {
+    this._revertToSnapshot(this.persistedOrFirstSnapshot, { attributes: [], relationships: [name] })
+  }
+
   /**
    * Replaces the record with the canonical version from the server.
    *
@@ -505,6 +772,34 @@ class Model {
     }
   }
 
+  /**
+   * Fetches the records of a relationship from its `related` link, or from
+   * `/{endpoint}/{id}/{relationship}` if the server didn't send one. The records are loaded
+   * into the store and the relationship is set to them. When the relationship is paginated,
+   * each page is added to the pages that were already fetched.
+   *
+   *   const notes = await todo.fetchRelated('notes', { queryParams: { page: { size: 50 } } })
+   *
+   * @param {string} name the relationship name
+   * @param {object} options { queryParams, queryTag, signal }
+   * @returns {Promise} the related records, or the related record of a to-one relationship
+   */
+  fetchRelated (name, options = {}) {
+    return this.store.fetchRelated(this, name, options)
+  }
+
+  /**
+   * Fetches the linkage of a relationship from its `self` link, or from
+   * `/{endpoint}/{id}/relationships/{relationship}`, without loading the related records.
+   *
+   * @param {string} name the relationship name
+   * @param {object} options { queryParams, queryTag, signal }
+   * @returns {Promise} the relationship
+   */
+  fetchRelationship (name, options = {}) {
+    return this.store.fetchRelationship(this, name, options)
+  }
+
   /**
    * Checks all validations, adding errors where necessary and returning `false` if any are not valid
    * Default is to check all validations, but they can be selectively run via options:
@@ -528,7 +823,9 @@ class Model {
   }
 
   /**
-   * deletes a record from the store and server
+   * deletes a record from the store and server. Passing an AbortSignal as `signal` cancels the request.
+   * If the store works offline, the delete is queued while the server can't be reached.
+   * With `optimistic: true`, the record is hidden from `getAll` straight away, and shown again if the request fails.
    *
    * @param {object} options params and option to skip removal from the store
    * @returns {Promise} an empty promise with any success/error status
@@ -538,20 +835,39 @@ class Model {
       constructor: { type }, id, snapshot, isNew
     } = this
 
+    const { mutationQueue } = this.store
+
     if (isNew) {
+      if (mutationQueue.hasQueuedCreate(type, id)) mutationQueue.discard(type, id)
       this.store.remove(type, id)
       return snapshot
     }
 
-    const { params = {}, skipRemove = false } = options
+    const { params = {}, skipRemove = false, signal, optimistic } = options
 
     const url = this.store.fetchUrl(type, params, id)
-    this.isInFlight = true
-    const promise = this.store.fetch(url, { method: 'DELETE' })
     const record = this
+
+    /**
+     * Queues the delete while offline, removing the record from the store right away
+     *
+     * @returns {Promise} the record
+     */
+    const queue = async () => {
+      await mutationQueue.enqueue({ type, id, method: 'DELETE', url })
+      if (!skipRemove) record.store.remove(type, id)
+      return record
+    }
+
+    if (mutationQueue.shouldQueue) return queue()
+
+    // only while the request is in flight, a queued delete may still be discarded
+    if (optimistic) this.isPendingDestroy = true
+    this.isInFlight = true
+    const promise = this.store.fetch(url, { method: 'DELETE', signal, type, operation: 'destroy' })
     record.errors = {}
 
-    return promise.then(
+    const result = promise.then(
       async function (response) {
         record.isInFlight = false
         if ([200, 202, 204].includes(response.status)) {
@@ -580,6 +896,8 @@ class Model {
             record.store.createOrUpdateModelsFromData(json.included)
           }
 
+          record.store.invalidateFor(record, 'destroy')
+
           return record
         } else {
           const errors = await parseErrors(response, record.store.errorMessages)
@@ -589,9 +907,22 @@ class Model {
       function (error) {
         // TODO: Handle error states correctly
         record.isInFlight = false
+        // a request that can't reach the server is queued if the store works offline
+        if (mutationQueue.enabled && !isAbortError(error)) {
+          mutationQueue.setOnline(false)
+          return queue()
+        }
         throw error
       }
     )
+
+    if (!optimistic) return result
+
+    return result.finally(() => {
+      runInAction(() => {
+        record.isPendingDestroy = false
+      })
+    })
   }
 
    /* Private Methods */
@@ -657,6 +988,50 @@ class Model {
     })
   }
 
+  /**
+   * Returns the records a relationship refers to, from the store, without creating
+   * placeholders for the ones that are missing
+   *
+   * @param {string} name the relationship name
+   * @returns {Array} the related records, `undefined` for missing ones
+   * @private
+   */
+  _relatedRecordsFor (name) {
+    const references = [].concat(this.relationships[name]?.data || [])
+    return references.map(({ id, type }) => this.store.data[type]?.records.get(String(id)))
+  }
+
+  /**
+   * Keeps the top-level `meta`, `links` and `jsonapi` of a document the record was the primary
+   * data of, replacing those of the previous document
+   *
+   * @param {object} json the JSON:API document
+   * @private
+   */
+  _setDocument (json) {
+    const { meta = null, links = null, jsonapi = null } = json
+    this.documentMeta = meta
+    this.documentLinks = links
+    this.documentJsonapi = jsonapi
+  }
+
+  /**
+   * Sets the linkage of a relationship as it is on the server. The snapshots are updated too,
+   * so other unsaved changes stay dirty and the relationship doesn't become dirty.
+   *
+   * @param {string} name the relationship name
+   * @param {object|Array} data the resource identifiers
+   * @private
+   */
+  _setPersistedRelationship (name, data) {
+    const relationship = { ...this.relationships[name], data }
+    this.relationships = { ...this.relationships, [name]: relationship }
+
+    this._snapshots.forEach((snapshot) => {
+      snapshot.relationships = { ...snapshot.relationships, [name]: cloneDeep(relationship) }
+    })
+  }
+
   /**
    * Sets `_snapshots` to an empty array
    */
@@ -681,6 +1056,34 @@ class Model {
     })
   }
 
+  /**
+   * Sets the attributes and relationships that were saved back to their values in a snapshot,
+   * going through the relationship setters so the inverse relationships of related records are
+   * reverted too. Errors from the server are kept.
+   *
+   * @param {object} snapshot the snapshot to revert to
+   * @param {object} options `attributes` and `relationships`, the names of what was saved
+   */
+  _revertToSnapshot (snapshot, options = {}) {
+    const { errors, relationshipDefinitions } = this
+    const { attributes = this.attributeNames, relationships = [] } = options
+
+    relationships.forEach((name) => {
+      const data = toJS(snapshot.relationships?.[name]?.data)
+      if (relationshipDefinitions[name].direction === 'toMany') {
+        this[name].replace(data || [])
+      } else {
+        this[name] = data || null
+      }
+    })
+
+    attributes.forEach((key) => {
+      this[key] = snapshot.attributes[key]
+    })
+
+    this.errors = errors
+  }
+
   /**
    * shortcut to get the static
    *
@@ -742,6 +1145,53 @@ class Model {
     return this.errors[key]
   }
 
+  /**
+   * Returns true if an attribute or relationship has been loaded from the server. Fields left
+   * out of a sparse fieldset are not loaded, so their values are not to be trusted.
+   *
+   *   todo.isFieldLoaded('description')
+   *   => false
+   *
+   * @param {string} name the name of the attribute or relationship
+   * @returns {boolean} true if the field is loaded
+   */
+  isFieldLoaded (name) {
+    return this.loadedFields === null || this.loadedFields.has(name)
+  }
+
+  /**
+   * Returns true if the records of a relationship path, such as 'notes.author', have been
+   * loaded with an `include` and are still in the store
+   *
+   *   todo.isIncludeLoaded('notes.author')
+   *   => true
+   *
+   * @param {string} path the relationship path
+   * @returns {boolean} true if the path is loaded
+   */
+  isIncludeLoaded (path) {
+    const [name, ...rest] = path.split('.')
+    if (!this.loadedIncludes.has(name)) return false
+
+    return this._relatedRecordsFor(name).every((related) => {
+      return related?.initialized && (rest.length === 0 || related.isIncludeLoaded(rest.join('.')))
+    })
+  }
+
+  /**
+   * Records that a relationship path was loaded with an `include`, on this record and the related records
+   *
+   * @param {string} path the relationship path
+   */
+  markIncludeLoaded (path) {
+    const [name, ...rest] = path.split('.')
+    this.loadedIncludes.add(name)
+
+    if (rest.length > 0) {
+      this._relatedRecordsFor(name).forEach((related) => related?.markIncludeLoaded(rest.join('.')))
+    }
+  }
+
   /**
    * Getter to just get the names of a records attributes.
    *
@@ -0,0 +1,341 @@
+import { action, computed, makeObservable, observable, runInAction } from 'mobx'
+import { MemoryStorage } from './storage'
+
+/**
+ * Annotations for mobx observability.
+ */
+const mobxAnnotations = {
+  isOnline: observable,
+  isReplaying: observable,
+  mutations: observable,
+  shouldQueue: computed,
+  setOnline: action,
+  enqueue: action,
+  discard: action,
+  restore: action,
+  replay: action,
+  _rewriteIds: action,
+  _discardDependents: action
+}
+
+/**
+ * Returns true for the status of a response that may succeed if the request is sent again later
+ *
+ * @param {number} status the status of the response
+ * @returns {boolean} true for a server error, a timeout or too many requests
+ */
+const isTransientStatus = (status) => status >= 500 || status === 408 || status === 429
+
+/**
+ * Queues mutations from `Model#save` and `Model#destroy` while the store is offline, and sends
+ * them in order once it is back online. Each store owns a queue in `store.mutationQueue`, which
+ * does nothing unless `offlineOptions.enabled` is set.
+ *
+ * A mutation is `{ type, id, method, url, body }`. New records keep their tmp id until their
+ * create has been replayed, and the ids the server assigns are then written into the urls and
+ * bodies of the mutations still queued.
+ *
+ *   const store = new AppStore({ offlineOptions: { enabled: true, storage: window.localStorage } })
+ *   store.mutationQueue.isOnline
+ *   => false
+ *   await todo.save()
+ *   store.mutationQueue.mutations.length
+ *   => 1
+ */
+class MutationQueue {
+  /**
+   * False while the store can't reach the server
+   *
+   * @type {boolean}
+   * @default true
+   */
+  isOnline = true
+
+  /**
+   * True while the queued mutations are being sent
+   *
+   * @type {boolean}
+   * @default false
+   */
+  isReplaying = false
+
+  /**
+   * The queued mutations, in the order they were made
+   *
+   * @type {Array}
+   */
+  mutations = []
+
+  /**
+   * The `online` and `offline` listeners added to `window`, by event
+   *
+   * @type {object}
+   */
+  _connectivityListeners = null
+
+  /**
+   * Sets up the queue
+   *
+   * @param {object} store the store that sends the mutations
+   * @param {object} options the offline options of the store
+   * @param {boolean} options.enabled set to true to queue mutations instead of failing while offline
+   * @param {object} options.storage a storage adapter for the queue, see `storage.ts`
+   * @param {string} options.storageKey the key of the queue in the storage
+   */
+  constructor (store, { enabled = false, storage = new MemoryStorage(), storageKey = 'mutationQueue' } = {}) {
+    this.store = store
+    this.enabled = enabled
+    this.storage = storage
+    this.storageKey = storageKey
+
+    makeObservable(this, mobxAnnotations)
+
+    if (enabled && typeof window !== 'undefined') {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) this.isOnline = false
+      this._connectivityListeners = {
+        online: this.setOnline.bind(this, true),
+        offline: this.setOnline.bind(this, false)
+      }
+      Object.entries(this._connectivityListeners).forEach(([event, listener]) => window.addEventListener(event, listener))
+    }
+  }
+
+  /**
+   * Stops following the connectivity of the browser
+   */
+  dispose () {
+    if (!this._connectivityListeners) return
+
+    Object.entries(this._connectivityListeners).forEach(([event, listener]) => window.removeEventListener(event, listener))
+    this._connectivityListeners = null
+  }
+
+  /**
+   * True if new mutations have to wait in the queue, either because the store is offline
+   * or because earlier mutations have not been sent yet
+   *
+   * @type {boolean}
+   */
+  get shouldQueue () {
+    return this.enabled && (!this.isOnline || this.mutations.length > 0)
+  }
+
+  /**
+   * Records whether the store can reach the server, replaying the queue when it comes back online
+   *
+   * @param {boolean} isOnline the connectivity
+   */
+  setOnline (isOnline) {
+    this.isOnline = isOnline
+    if (isOnline) this.replay()
+  }
+
+  /**
+   * Returns true if the create of a new record is waiting in the queue
+   *
+   * @param {string} type the model type
+   * @param {string} id the tmp id of the record
+   * @returns {boolean} true if the record will be created
+   */
+  hasQueuedCreate (type, id) {
+    return this.mutations.some((mutation) => mutation.type === type && mutation.id === String(id) && mutation.method === 'POST')
+  }
+
+  /**
+   * Adds a mutation to the queue. Saving a new record again while its create is queued
+   * replaces the body of the create rather than creating it twice.
+   *
+   * @param {object} mutation { type, id, method, url, body }
+   * @returns {Promise} resolves once the queue has been persisted
+   */
+  enqueue (mutation) {
+    const { type, id, method } = mutation
+    const create = method === 'POST' && this.mutations.find((queued) => {
+      return queued.type === type && queued.id === String(id) && queued.method === 'POST'
+    })
+
+    if (create) {
+      create.body = mutation.body
+    } else {
+      this.mutations.push({ ...mutation, id: String(id) })
+    }
+
+    return this._persist()
+  }
+
+  /**
+   * Removes every queued mutation of a record, for example when a record whose create
+   * is still queued is destroyed
+   *
+   * @param {string} type the model type
+   * @param {string} id the id of the record
+   * @returns {Promise} resolves once the queue has been persisted
+   */
+  discard (type, id) {
+    this.mutations = this.mutations.filter((mutation) => mutation.type !== type || mutation.id !== String(id))
+    return this._persist()
+  }
+
+  /**
+   * Loads the mutations persisted by a previous session and replays them if the store is online.
+   * The store calls this when it is initialized, and later calls return the same promise.
+   *
+   * @returns {Promise} resolves once the queue has been loaded
+   */
+  restore () {
+    if (!this._restoring) {
+      this._restoring = this._load().catch((error) => {
+        console.warn(`Could not restore the mutation queue: ${error.message}`)
+      })
+    }
+    return this._restoring
+  }
+
+  /**
+   * Reads the persisted mutations into the queue
+   *
+   * @returns {Promise} resolves once the queue has been loaded
+   * @private
+   */
+  async _load () {
+    if (!this.enabled) return
+
+    const persisted = await this.storage.getItem(this.storageKey)
+    if (!persisted) return
+
+    runInAction(() => {
+      this.mutations = [...JSON.parse(persisted), ...this.mutations]
+    })
+
+    if (this.isOnline) await this.replay()
+  }
+
+  /**
+   * Sends the queued mutations in order. Each response is applied to its record through
+   * `updateRecordsFromResponse`. A mutation the server rejects with a client error is dropped and
+   * the store emits `mutationFailed`, as it does for the mutations that refer to a new record whose
+   * create was rejected. If the server can't be reached, or responds with a server error, a
+   * timeout or too many requests, the store goes offline and the mutations stay queued.
+   *
+   * @returns {Promise} resolves once the queue is empty or the store is offline
+   */
+  replay () {
+    if (!this._replaying) {
+      this.isReplaying = true
+      this._replaying = this._replayNext().finally(() => {
+        runInAction(() => {
+          this.isReplaying = false
+        })
+        this._replaying = null
+      })
+    }
+    return this._replaying
+  }
+
+  /**
+   * Sends the first queued mutation, then the rest
+   *
+   * @returns {Promise} resolves once the queue is empty or the store is offline
+   * @private
+   */
+  async _replayNext () {
+    const { store } = this
+    const [mutation] = this.mutations
+    if (!mutation || !this.isOnline) return
+
+    const { type, id, method, url, body } = mutation
+
+    let response
+    try {
+      response = await store.fetch(url, {
+        method,
+        body,
+        retryOptions: store.retryOptions.mutations,
+        type,
+        operation: method === 'DELETE' ? 'destroy' : 'save'
+      })
+    } catch (error) {
+      this.setOnline(false)
+      return
+    }
+
+    if (isTransientStatus(response.status)) {
+      this.setOnline(false)
+      return
+    }
+
+    let failure = null
+    try {
+      const record = method !== 'DELETE' && store.getRecord(type, id)
+
+      if (record) {
+        await store.updateRecordsFromResponse(Promise.resolve(response), record)
+        if (record.id !== id) this._rewriteIds(id, record.id)
+      } else if (response.ok) {
+        const json = await response.json().catch(() => ({}))
+        if (method === 'POST' && json.data?.id) this._rewriteIds(id, String(json.data.id))
+      } else {
+        throw new Error(`${method} ${url} failed with status ${response.status}`)
+      }
+    } catch (error) {
+      failure = error
+      store.emit('mutationFailed', { mutation, error })
+    }
+
+    runInAction(() => {
+      this.mutations.shift()
+    })
+    if (failure && method === 'POST') this._discardDependents(id, failure)
+    await this._persist()
+
+    return this._replayNext()
+  }
+
+  /**
+   * Replaces a tmp id with the id the server assigned in the queued mutations
+   *
+   * @param {string} tmpId the tmp id of the new record
+   * @param {string} id the id from the server
+   * @private
+   */
+  _rewriteIds (tmpId, id) {
+    this.mutations.forEach((mutation) => {
+      if (mutation.id === tmpId) mutation.id = id
+      mutation.url = mutation.url.split(tmpId).join(id)
+      if (mutation.body) mutation.body = mutation.body.split(tmpId).join(id)
+    })
+  }
+
+  /**
+   * Drops the queued mutations that refer to the tmp id of a new record whose create was
+   * rejected, since the record will never exist on the server
+   *
+   * @param {string} tmpId the tmp id of the new record
+   * @param {Error} error the error the create failed with
+   * @private
+   */
+  _discardDependents (tmpId, error) {
+    const dependents = this.mutations.filter((mutation) => {
+      return mutation.id === tmpId || mutation.url.includes(tmpId) || mutation.body?.includes(tmpId)
+    })
+    this.mutations = this.mutations.filter((mutation) => !dependents.includes(mutation))
+
+    dependents.forEach((mutation) => {
+      this.store.emit('mutationFailed', { mutation, error })
+      if (mutation.method === 'POST') this._discardDependents(mutation.id, error)
+    })
+  }
+
+  /**
+   * Writes the queue to the storage
+   *
+   * @returns {Promise} resolves once the queue has been written
+   * @private
+   */
+  async _persist () {
+    if (!this.enabled) return
+    await this.storage.setItem(this.storageKey, JSON.stringify(this.mutations))
+  }
+}
+
+export default MutationQueue
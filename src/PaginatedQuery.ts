@@ -0,0 +1,409 @@
+import { action, computed, makeObservable, observable, runInAction } from 'mobx'
+import { QueryString } from './utils'
+
+/**
+ * Builds the `page` query params for each supported pagination strategy. Every strategy
+ * defines how to get the first page, and how to get the pages on either side of a loaded page
+ * when the server does not return `links`. A page is an object of `{ params, ids, links, meta }`.
+ * `next` and `previous` return `null` when there is no such page.
+ */
+export const paginationStrategies = {
+  pageNumber: {
+    /**
+     * Params for the first page
+     *
+     * @param {number} size the page size
+     * @returns {object} page params
+     */
+    first: (size) => ({ number: 1, size }),
+    /**
+     * Params for the page after `page`
+     *
+     * @param {object} page a loaded page
+     * @returns {object} page params
+     */
+    next: (page) => ({ ...page.params, number: Number(page.params.number) + 1 }),
+    /**
+     * Params for the page before `page`
+     *
+     * @param {object} page a loaded page
+     * @returns {object} page params
+     */
+    previous: (page) => Number(page.params.number) > 1
+      ? { ...page.params, number: Number(page.params.number) - 1 }
+      : null
+  },
+  offset: {
+    /**
+     * Params for the first page
+     *
+     * @param {number} size the page size
+     * @returns {object} page params
+     */
+    first: (size) => ({ offset: 0, limit: size }),
+    /**
+     * Params for the page after `page`
+     *
+     * @param {object} page a loaded page
+     * @returns {object} page params
+     */
+    next: (page) => {
+      const { offset, limit } = page.params
+      return { ...page.params, offset: Number(offset) + Number(limit) }
+    },
+    /**
+     * Params for the page before `page`
+     *
+     * @param {object} page a loaded page
+     * @returns {object} page params
+     */
+    previous: (page) => {
+      const { offset, limit } = page.params
+      return Number(offset) > 0
+        ? { ...page.params, offset: Math.max(0, Number(offset) - Number(limit)) }
+        : null
+    }
+  },
+  cursor: {
+    /**
+     * Params for the first page
+     *
+     * @param {number} size the page size
+     * @returns {object} page params
+     */
+    first: (size) => ({ size }),
+    /**
+     * Params for the page after `page`, using the last id as the cursor
+     *
+     * @param {object} page a loaded page
+     * @returns {object} page params
+     */
+    next: (page) => {
+      const { params, ids } = page
+      return ids.length > 0 ? { size: params.size, after: ids[ids.length - 1] } : null
+    },
+    /**
+     * Params for the page before `page`, using the first id as the cursor
+     *
+     * @param {object} page a loaded page
+     * @returns {object} page params
+     */
+    previous: (page) => {
+      const { params, ids } = page
+      return (params.after || params.before) && ids.length > 0
+        ? { size: params.size, before: ids[0] }
+        : null
+    }
+  }
+}
+
+/**
+ * Returns the url of a pagination link, which is either a string or a link object
+ *
+ * @param {string|object} link a link from the `links` object of a response
+ * @returns {string} the url
+ */
+const linkHref = (link) => typeof link === 'string' ? link : link.href
+
+/**
+ * Converts a pagination link into query params
+ *
+ * @param {string|object} link a link from the `links` object of a response
+ * @returns {object} the query params of the link
+ */
+const queryParamsFromLink = (link) => {
+  const { search } = new URL(linkHref(link), 'http://example.com')
+  return QueryString.parse(search)
+}
+
+/**
+ * Annotations for mobx observability.
+ */
+const mobxAnnotations = {
+  pages: observable,
+  isLoading: observable,
+  _lastPageUrl: observable,
+  records: computed,
+  error: computed,
+  links: computed,
+  meta: computed,
+  hasNextPage: computed,
+  hasPreviousPage: computed,
+  fetchNextPage: action,
+  fetchPreviousPage: action,
+  _fetchPage: action
+}
+
+/**
+ * A paginated query for one type. Pages are loaded on demand with `fetchNextPage` and
+ * `fetchPreviousPage`, and the ids of all loaded pages are cached in the store under a single
+ * `cacheKey`, so `records` can be used directly for infinite scrolling.
+ *
+ *   const query = store.paginate('todos', { queryParams: { filter: { overdue: true } }, pageSize: 25 })
+ *   await query.fetchNextPage()
+ *   query.records
+ *   => [todo1, ..., todo25]
+ *
+ *   for await (const page of query) {
+ *     // every page, fetching as needed
+ *   }
+ */
+class PaginatedQuery {
+  /**
+   * The pages loaded so far, in order. Each page is `{ params, ids, links, meta }`.
+   *
+   * @type {Array}
+   */
+  pages = []
+
+  /**
+   * True while a page is being fetched
+   *
+   * @type {boolean}
+   */
+  isLoading = false
+
+  /**
+   * The url of the page fetched last, to find its error in the store's `errorStates`
+   *
+   * @type {string}
+   * @private
+   */
+  _lastPageUrl = null
+
+  /**
+   * The requests for the pages being fetched by direction, `next` or `previous`, which are
+   * returned to calls for the same direction made while they load
+   *
+   * @type {object}
+   * @private
+   */
+  _requests = {}
+
+  /**
+   * Sets up the query. Use `store.paginate` rather than calling this directly.
+   *
+   * @param {object} store the store that will fetch pages
+   * @param {string} type the model type
+   * @param {object} options { queryParams, queryTag, strategy, pageSize }
+   */
+  constructor (store, type, options = {}) {
+    const { queryParams = {}, queryTag, strategy = 'pageNumber', pageSize = 20 } = options
+
+    if (!paginationStrategies[strategy]) {
+      throw new Error(`Unknown pagination strategy '${strategy}'`)
+    }
+
+    this.store = store
+    this.type = type
+    this.queryParams = queryParams
+    this.queryTag = queryTag
+    this.strategy = paginationStrategies[strategy]
+    this.pageSize = pageSize
+    this.cacheKey = PaginatedQuery.cacheKey(store, type, queryParams, { strategy, pageSize })
+
+    makeObservable(this, mobxAnnotations)
+  }
+
+  /**
+   * The key used to cache the ids of all loaded pages for a query. Queries with another
+   * strategy or page size load other pages, so they have their own key.
+   *
+   * @param {object} store the store
+   * @param {string} type the model type
+   * @param {object} queryParams the query params without `page`
+   * @param {object} options the options of the query
+   * @param {string} options.strategy the pagination strategy
+   * @param {number} options.pageSize the page size
+   * @returns {string} the cache key
+   */
+  static cacheKey (store, type, queryParams = {}, { strategy = 'pageNumber', pageSize = 20 } = {}) {
+    return `${store.fetchUrl(type, queryParams)}#paginated:${strategy}:${pageSize}`
+  }
+
+  /**
+   * All records from the loaded pages, in page order
+   *
+   * @type {Array}
+   */
+  get records () {
+    const { store, type, cacheKey } = this
+    return store.getRecordsById(type, store.getCachedIds(type, cacheKey))
+  }
+
+  /**
+   * The error state of the last page fetched, if it failed, see `Store#errorFor`
+   *
+   * @type {object}
+   */
+  get error () {
+    const { store, type, queryTag, _lastPageUrl } = this
+    return _lastPageUrl ? store.errorFor(queryTag || type, _lastPageUrl) : undefined
+  }
+
+  /**
+   * The links of the last loaded page
+   *
+   * @type {object}
+   */
+  get links () {
+    return this.pages[this.pages.length - 1]?.links
+  }
+
+  /**
+   * The meta of the last loaded page
+   *
+   * @type {object}
+   */
+  get meta () {
+    return this.pages[this.pages.length - 1]?.meta
+  }
+
+  /**
+   * True if no pages have been loaded or the last loaded page has a page after it
+   *
+   * @type {boolean}
+   */
+  get hasNextPage () {
+    const lastPage = this.pages[this.pages.length - 1]
+    if (!lastPage) return true
+    if (lastPage.links) return Boolean(lastPage.links.next)
+    return lastPage.ids.length >= this.pageSize
+  }
+
+  /**
+   * True if the first loaded page has a page before it
+   *
+   * @type {boolean}
+   */
+  get hasPreviousPage () {
+    const [firstPage] = this.pages
+    if (!firstPage) return false
+    if (firstPage.links) return Boolean(firstPage.links.prev)
+    return this.strategy.previous(firstPage) != null
+  }
+
+  /**
+   * Fetches the page after the last loaded page, or the first page if none have been loaded.
+   * While the next page is loading, returns the request for that page instead of fetching another.
+   *
+   * @returns {Promise} the records of the fetched page, or an empty array if there are no more pages
+   */
+  fetchNextPage () {
+    if (this._requests.next) return this._requests.next
+
+    const lastPage = this.pages[this.pages.length - 1]
+
+    if (!lastPage) {
+      return this._fetchPage({ ...this.queryParams, page: this.strategy.first(this.pageSize) }, 'next')
+    }
+    if (!this.hasNextPage) return Promise.resolve([])
+
+    if (lastPage.links) {
+      return this._fetchPage(queryParamsFromLink(lastPage.links.next), 'next', linkHref(lastPage.links.next))
+    }
+
+    return this._fetchPage({ ...this.queryParams, page: this.strategy.next(lastPage) }, 'next')
+  }
+
+  /**
+   * Fetches the page before the first loaded page. While the previous page is loading, returns
+   * the request for that page instead of fetching another.
+   *
+   * @returns {Promise} the records of the fetched page, or an empty array if there is no previous page
+   */
+  fetchPreviousPage () {
+    if (this._requests.previous) return this._requests.previous
+
+    if (!this.hasPreviousPage) return Promise.resolve([])
+
+    const [firstPage] = this.pages
+    if (firstPage.links) {
+      return this._fetchPage(queryParamsFromLink(firstPage.links.prev), 'previous', linkHref(firstPage.links.prev))
+    }
+
+    return this._fetchPage({ ...this.queryParams, page: this.strategy.previous(firstPage) }, 'previous')
+  }
+
+  /**
+   * Walks every page, starting with the pages already loaded and fetching
+   * the rest until there are none left.
+   *
+   * @yields {Array} the records of each page
+   */
+  async * [Symbol.asyncIterator] () {
+    const { store, type } = this
+
+    for (let i = 0; i < this.pages.length; i++) {
+      yield store.getRecordsById(type, this.pages[i].ids)
+    }
+
+    while (this.hasNextPage) {
+      const records = await this.fetchNextPage()
+      if (records.length === 0) return
+      yield records
+    }
+  }
+
+  /**
+   * Fetches a page and adds its ids to the aggregate cache
+   *
+   * @param {object} queryParams the query params of the page
+   * @param {string} direction 'next' to append the page or 'previous' to prepend it
+   * @param {string} url the link to the page from the server, or the url built from `queryParams`
+   * @returns {Promise} the records of the page
+   * @private
+   */
+  _fetchPage (queryParams, direction, url = this.store.fetchUrl(this.type, queryParams)) {
+    this.isLoading = true
+    this._lastPageUrl = url
+    this._requests[direction] = this._loadPage(queryParams, direction, url)
+    return this._requests[direction]
+  }
+
+  /**
+   * Loads a page for `_fetchPage`
+   *
+   * @param {object} queryParams the query params of the page
+   * @param {string} direction 'next' to append the page or 'previous' to prepend it
+   * @param {string} url the url of the page
+   * @returns {Promise} the records of the page
+   * @private
+   */
+  async _loadPage (queryParams, direction, url) {
+    const { store, type, queryTag, cacheKey } = this
+
+    try {
+      const records = await store.fetchAll(type, { queryParams, queryTag, skipCache: true, url })
+
+      runInAction(() => {
+        const page = {
+          params: queryParams.page || {},
+          ids: records.map(({ id }) => id),
+          links: records.links,
+          meta: records.meta
+        }
+
+        if (direction === 'previous') {
+          this.pages.unshift(page)
+        } else {
+          this.pages.push(page)
+        }
+
+        const ids = this.pages.map(({ ids }) => ids).flat()
+        store.data[type].cache.set(cacheKey, [...new Set(ids)])
+        store.data[type].fetchedAt.set(cacheKey, Date.now())
+        store.data[type].invalidated.delete(cacheKey)
+      })
+
+      return records
+    } finally {
+      runInAction(() => {
+        delete this._requests[direction]
+        this.isLoading = Object.keys(this._requests).length > 0
+      })
+    }
+  }
+}
+
+export default PaginatedQuery
@@ -0,0 +1,255 @@
+import { action, makeObservable, observable, reaction, runInAction } from 'mobx'
+import { MemoryStorage } from './storage'
+
+/**
+ * Annotations for mobx observability.
+ */
+const mobxAnnotations = {
+  isRestoring: observable,
+  restore: action,
+  clear: action
+}
+
+/**
+ * Returns a short hash of a string
+ *
+ * @param {string} string the string to hash
+ * @returns {string} the hash in base 36
+ */
+const hash = (string) => {
+  let value = 5381
+  for (let i = 0; i < string.length; i++) {
+    value = ((value << 5) + value + string.charCodeAt(i)) | 0
+  }
+  return (value >>> 0).toString(36)
+}
+
+/**
+ * Returns the schema version of a model: its `static schemaVersion` if it has one, or else a hash
+ * of its attribute and relationship definitions. The hash changes whenever an attribute or
+ * relationship is added, removed or renamed, an attribute gets another transformer, default value
+ * or type, or a relationship changes direction or inverse. Functions are hashed by their name,
+ * which a minifier may change between builds, so set `static schemaVersion` to keep the version
+ * stable in minified code.
+ *
+ *   schemaVersion(Todo)
+ *   => '1x7kq2p'
+ *
+ * @param {object} ModelKlass the model class
+ * @returns {string} the version
+ */
+export function schemaVersion (ModelKlass) {
+  const { attributeDefinitions = {}, relationshipDefinitions = {} } = ModelKlass
+  if (ModelKlass.schemaVersion != null) return String(ModelKlass.schemaVersion)
+
+  const attributes = Object.keys(attributeDefinitions).sort().map((name) => {
+    const { transformer, defaultValue, type } = attributeDefinitions[name]
+    return [name, transformer, defaultValue, type]
+  })
+  const relationships = Object.keys(relationshipDefinitions).sort().map((name) => {
+    const { direction, types, inverse } = relationshipDefinitions[name]
+    return [name, direction, types, inverse]
+  })
+
+  return hash(JSON.stringify([attributes, relationships], (key, value) => typeof value === 'function' ? value.name : value))
+}
+
+/**
+ * Persists the records and query cache of a store between sessions. Each store owns one in
+ * `store.persistentCache`, which does nothing unless `persistenceOptions.enabled` is set.
+ *
+ * The state is written to the storage adapter once it has stopped changing for `delay` milliseconds,
+ * as a document from `Store#dehydrate` with the schema version of every model. Every write serializes
+ * the whole store, so a short delay with many records costs time on every change. When the store is initialized,
+ * the document is read back and hydrated without blocking, and `findAll` and `findOne` wait for it.
+ *
+ * When the definitions of a model change, its data is passed through `migrations[type][version]`
+ * for the version it was written with. A migration gets `{ records, cache, meta, links, fetchedAt }`
+ * and returns the same for the current definitions. Without a migration the data of the type is discarded.
+ *
+ *   const store = new AppStore({
+ *     persistenceOptions: {
+ *       enabled: true,
+ *       storage: new WebStorage(),
+ *       migrations: {
+ *         todos: {
+ *           '1x7kq2p': (data) => ({ ...data, records: data.records.map(renameNameToTitle) })
+ *         }
+ *       }
+ *     }
+ *   })
+ */
+class PersistentCache {
+  /**
+   * True while the persisted state is being read into the store
+   *
+   * @type {boolean}
+   * @default false
+   */
+  isRestoring = false
+
+  /**
+   * Sets up the cache
+   *
+   * @param {object} store the store to persist
+   * @param {object} options the persistence options of the store
+   * @param {boolean} options.enabled set to true to persist the store
+   * @param {object} options.storage a storage adapter, see `storage.ts`
+   * @param {string} options.storageKey the key of the state in the storage
+   * @param {object} options.migrations functions by type and schema version that migrate persisted data
+   * @param {number} options.delay milliseconds to wait for more changes before writing, 1000 by default
+   */
+  constructor (store, { enabled = false, storage = new MemoryStorage(), storageKey = 'store', migrations = {}, delay = 1000 } = {}) {
+    this.store = store
+    this.enabled = enabled
+    this.storage = storage
+    this.storageKey = storageKey
+    this.migrations = migrations
+    this.delay = delay
+
+    makeObservable(this, mobxAnnotations)
+  }
+
+  /**
+   * The current schema version of every model, by type
+   *
+   * @type {object}
+   */
+  get versions () {
+    return this.store.models.reduce((versions, ModelKlass) => {
+      versions[ModelKlass.type] = schemaVersion(ModelKlass)
+      return versions
+    }, {})
+  }
+
+  /**
+   * Reads the persisted state into the store, then starts writing changes to the storage.
+   * The store calls this when it is initialized, and later calls return the same promise.
+   *
+   * @returns {Promise} resolves once the state has been restored
+   */
+  restore () {
+    if (!this._restoring) {
+      this.isRestoring = this.enabled
+      this._restoring = this._load()
+        .catch((error) => {
+          console.warn(`Could not restore the persisted store: ${error.message}`)
+        })
+        .finally(() => {
+          runInAction(() => {
+            this.isRestoring = false
+          })
+          this._watch()
+        })
+    }
+    return this._restoring
+  }
+
+  /**
+   * Deletes the persisted state
+   *
+   * @returns {Promise} resolves once the state has been deleted
+   */
+  clear () {
+    return this.storage.removeItem(this.storageKey)
+  }
+
+  /**
+   * Stops writing the state of the store to the storage
+   */
+  dispose () {
+    this._isDisposed = true
+    this._dispose?.()
+    this._dispose = null
+  }
+
+  /**
+   * Reads the persisted state, migrates it and hydrates the store. Records that were
+   * loaded while the storage was read are newer, so they are kept.
+   *
+   * @returns {Promise} resolves once the store has been hydrated
+   * @private
+   */
+  async _load () {
+    if (!this.enabled) return
+
+    const persisted = await this.storage.getItem(this.storageKey)
+    if (!persisted) return
+
+    const { store } = this
+    const doc = this._migrate(JSON.parse(persisted))
+
+    Object.entries(doc.data).forEach(([type, typeData]) => {
+      typeData.records = (typeData.records || []).filter(({ id }) => !store.getRecord(type, id))
+    })
+
+    store.hydrate(doc)
+  }
+
+  /**
+   * Migrates the data of every type written with other definitions, and discards
+   * the types that can't be migrated along with their loaded states
+   *
+   * @param {object} doc the persisted document
+   * @param {object} doc.versions the schema versions it was written with, by type
+   * @param {object} doc.data the data of every type, see `Store#dehydrate`
+   * @param {object} doc.loadedStates the loaded states by query tag
+   * @returns {object} the document for the current definitions
+   * @private
+   */
+  _migrate ({ versions = {}, data = {}, loadedStates = {} }) {
+    const { versions: currentVersions, migrations } = this
+    const migrated = {}
+
+    Object.entries(data).forEach(([type, typeData]) => {
+      const version = versions[type]
+      const migration = migrations[type]?.[version]
+
+      if (version === currentVersions[type]) {
+        migrated[type] = typeData
+      } else if (migration) {
+        migrated[type] = migration(typeData)
+      }
+    })
+
+    const states = Object.entries(loadedStates).reduce((kept, [queryTag, encodedStates]) => {
+      const current = encodedStates.filter((state) => migrated[JSON.parse(state).type])
+      if (current.length > 0) kept[queryTag] = current
+      return kept
+    }, {})
+
+    return { data: migrated, loadedStates: states }
+  }
+
+  /**
+   * Writes the state of the store to the storage whenever it changes
+   *
+   * @private
+   */
+  _watch () {
+    if (!this.enabled || this._dispose || this._isDisposed) return
+
+    this._dispose = reaction(
+      () => this.store.dehydrate(),
+      (doc) => this._persist(doc),
+      { delay: this.delay }
+    )
+  }
+
+  /**
+   * Writes a document to the storage
+   *
+   * @param {object} doc a document from `Store#dehydrate`
+   * @returns {Promise} resolves once the document has been written
+   * @private
+   */
+  async _persist (doc) {
+    try {
+      await this.storage.setItem(this.storageKey, JSON.stringify({ versions: this.versions, ...doc }))
+    } catch (error) {
+      console.warn(`Could not persist the store: ${error.message}`)
+    }
+  }
+}
+
+export default PersistentCache
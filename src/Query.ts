@@ -0,0 +1,201 @@
+import { action, computed, makeObservable, observable, onBecomeObserved, onBecomeUnobserved, reaction, runInAction } from 'mobx'
+import { errorsFromError } from './utils'
+
+/**
+ * Checks whether a set of encoded loading states contains a request for `url`
+ *
+ * @param {Set} states a Set of JSON-encoded states from `loadingStates` or `loadedStates`
+ * @param {string} url the url to look for
+ * @returns {boolean} true if the url is in the set
+ */
+const statesIncludeUrl = (states, url) => {
+  if (!states) return false
+  return Array.from(states).some((state) => JSON.parse(state).url === url)
+}
+
+/**
+ * Annotations for mobx observability.
+ */
+const mobxAnnotations = {
+  queryParams: observable.ref,
+  error: observable.ref,
+  url: computed,
+  records: computed,
+  meta: computed,
+  isFetching: computed,
+  isLoading: computed,
+  lastFetchedAt: computed,
+  load: action,
+  refetch: action
+}
+
+/**
+ * An observable query for all records of a type. It exposes the state of the request so
+ * components can render loading and error states without handling the promises themselves.
+ *
+ *   const query = store.query('todos', { queryParams: { filter: { overdue: true } } })
+ *   query.isLoading
+ *   => true
+ *   // fetch finished
+ *   query.records
+ *   => [todo1, todo2]
+ *
+ * If `queryParams` is a function, it is tracked by mobx and the query runs again whenever
+ * the observables it reads change. Call `dispose` when the query is no longer needed.
+ *
+ *   const query = store.query('todos', { queryParams: () => ({ filter: { title: ui.search } }) })
+ */
+class Query {
+  /**
+   * The params of the current request
+   *
+   * @type {object}
+   */
+  queryParams = undefined
+
+  /**
+   * The JSONAPI errors of the last failed request, or `null`
+   *
+   * @type {Array}
+   * @default null
+   */
+  error = null
+
+  /**
+   * Sets up the query and loads it. Use `store.query` rather than calling this directly.
+   *
+   * @param {object} store the store that will fetch records
+   * @param {string} type the model type
+   * @param {object} options { queryParams, queryTag } and any other `findAll` options
+   */
+  constructor (store, type, options = {}) {
+    const { queryParams, ...findOptions } = options
+
+    this.store = store
+    this.type = type
+    this.options = findOptions
+
+    makeObservable(this, mobxAnnotations)
+
+    // lets `store.invalidate` refetch the query while a component shows its records
+    onBecomeObserved(this, 'records', () => store.observedQueries.add(this))
+    onBecomeUnobserved(this, 'records', () => store.observedQueries.delete(this))
+
+    if (typeof queryParams === 'function') {
+      this._disposeReaction = reaction(queryParams, (params) => {
+        this.queryParams = params
+        this.load()
+      }, { fireImmediately: true })
+    } else {
+      this.queryParams = queryParams
+      this.load()
+    }
+  }
+
+  /**
+   * The url of the current request
+   *
+   * @type {string}
+   */
+  get url () {
+    return this.store.fetchUrl(this.type, this.queryParams)
+  }
+
+  /**
+   * The records for the current request, as `getAll` would return them
+   *
+   * @type {Array}
+   */
+  get records () {
+    return this.store.getAll(this.type, { queryParams: this.queryParams })
+  }
+
+  /**
+   * The meta returned with the current request
+   *
+   * @type {object}
+   */
+  get meta () {
+    return this.store.data[this.type].meta.get(this.url)
+  }
+
+  /**
+   * True while the current request is in flight
+   *
+   * @type {boolean}
+   */
+  get isFetching () {
+    const { store, type, options, url } = this
+    return statesIncludeUrl(store.loadingStates.get(options.queryTag || type), url)
+  }
+
+  /**
+   * True while the current request is in flight for the first time
+   *
+   * @type {boolean}
+   */
+  get isLoading () {
+    const { store, type, options, url } = this
+    return this.isFetching && !statesIncludeUrl(store.loadedStates.get(options.queryTag || type), url)
+  }
+
+  /**
+   * When the current request was last fetched from the server
+   *
+   * @type {number}
+   */
+  get lastFetchedAt () {
+    return this.store.data[this.type].fetchedAt.get(this.url)
+  }
+
+  /**
+   * Loads the records with `findAll`, using the cache if it can
+   *
+   * @returns {Promise} resolves to the records, or `undefined` if the request failed
+   */
+  load () {
+    const { store, type, options, queryParams } = this
+    return this._track(store.findAll(type, { ...options, queryParams }))
+  }
+
+  /**
+   * Fetches the records from the server, ignoring the cache
+   *
+   * @returns {Promise} resolves to the records, or `undefined` if the request failed
+   */
+  refetch () {
+    const { store, type, options, queryParams } = this
+    return this._track(store.fetchAll(type, { ...options, queryParams }))
+  }
+
+  /**
+   * Stops re-running the query when its `queryParams` change
+   */
+  dispose () {
+    this._disposeReaction?.()
+    this.store.observedQueries.delete(this)
+  }
+
+  /**
+   * Records the outcome of a request in `error`
+   *
+   * @param {Promise} promise the request
+   * @returns {Promise} resolves to the records, or `undefined` if the request failed
+   * @private
+   */
+  _track (promise) {
+    const { url } = this
+    this.error = null
+
+    return promise.then(
+      (records) => records,
+      (error) => {
+        runInAction(() => {
+          if (this.url === url) this.error = errorsFromError(error)
+        })
+      }
+    )
+  }
+}
+
+export default Query
@@ -0,0 +1,273 @@
+import { isObservableArray, isObservableObject, isObservableProp, observable, observe, runInAction, untracked } from 'mobx'
+
+/**
+ * Returns the index key of a value: its string form, or `null` for an empty value
+ *
+ * @param {*} value the value
+ * @returns {string} the key
+ */
+const keyFor = (value) => value == null ? null : String(value)
+
+/**
+ * Calls a listener right away whenever an observable object or array, or anything nested in it,
+ * changes. Unlike a reaction, the listener also runs inside an action.
+ *
+ * @param {*} value the value to observe
+ * @param {Function} listener called with no arguments on every change
+ * @returns {Function} stops observing
+ */
+function observeTree (value, listener) {
+  if (!isObservableObject(value) && !isObservableArray(value)) return () => {}
+
+  const children = untracked(() => isObservableArray(value) ? value.slice() : Object.values(value))
+  const disposers = [observe(value, () => listener()), ...children.map((child) => observeTree(child, listener))]
+  return () => disposers.forEach((dispose) => dispose())
+}
+
+/**
+ * Returns the keys a record has for an indexed field: the value of an attribute, every value
+ * of an array attribute, or the ids in the linkage of a relationship
+ *
+ *   indexKeys(todo, 'project')
+ *   => ['1']
+ *
+ * @param {object} record the record
+ * @param {string} field an attribute or relationship name
+ * @returns {Array} the keys
+ */
+export function indexKeys (record, field) {
+  if (record.relationshipDefinitions?.[field]) {
+    const linkage = record.relationships[field]?.data
+    if (Array.isArray(linkage)) return linkage.map(({ id }) => keyFor(id))
+    return [keyFor(linkage?.id)]
+  }
+
+  const value = record[field]
+  return Array.isArray(value) ? value.map(keyFor) : [keyFor(value)]
+}
+
+/**
+ * Returns the key of a reference to a record in a reverse index
+ *
+ * @param {string} type the type of the referenced record
+ * @param {string} id the id of the referenced record
+ * @returns {string} the key
+ */
+export const referenceKey = (type, id) => `${type}:${id}`
+
+/**
+ * Returns the keys of the records a relationship of a record refers to, for a reverse index
+ *
+ *   referenceKeys(note, 'todo')
+ *   => ['todos:1']
+ *
+ * @param {object} record the record
+ * @param {string} field a relationship name
+ * @returns {Array} the keys
+ */
+export function referenceKeys (record, field) {
+  const linkage = record.relationships[field]?.data
+  return [].concat(linkage || []).map(({ type, id }) => referenceKey(type, id))
+}
+
+/**
+ * Indexes the records of a type by the fields in `static indexes` of its model, so
+ * `Store#getBy` and `Store#where` can find records by value without going through all of them.
+ *
+ * The index follows the records map of the type: records are indexed as they are added, and
+ * each indexed field of a record is observed, so the index is updated as soon as the value of
+ * the attribute or the linkage of the relationship changes, also in the middle of an action.
+ * Placeholder records are indexed once they are initialized.
+ *
+ * The store also keeps a reverse index of the relationships that are the inverse of a to-many
+ * relationship, keyed with `referenceKeys`, so an inverse to-many relationship without linkage
+ * is found without going through every record that could refer to the record.
+ *
+ *   class Todo extends Model {
+ *     static indexes = ['status', 'project']
+ *   }
+ */
+class RecordIndex {
+  /**
+   * Sets up the index and indexes the records already in the map
+   *
+   * @param {object} records the observable map of records by id of the type
+   * @param {Array} fields the attribute and relationship names to index
+   * @param {object} options { reverse }, where `reverse` makes a reverse index of relationships keyed with `referenceKeys`
+   */
+  constructor (records, fields, options = {}) {
+    this.fields = fields
+    this.reverse = Boolean(options.reverse)
+    this.keysFor = this.reverse ? referenceKeys : indexKeys
+    this.entries = new Map(fields.map((field) => [field, observable.map({}, { deep: false })]))
+    this.tracked = new Map()
+
+    records.forEach((record) => this._add(record))
+    this._disposeObserver = observe(records, (change) => {
+      if (change.type === 'add') {
+        this._add(change.newValue)
+      } else if (change.type === 'update') {
+        this._add(change.newValue)
+        this._delete(change.oldValue)
+      } else if (change.type === 'delete') {
+        this._delete(change.oldValue)
+      }
+    })
+  }
+
+  /**
+   * Returns the records with a value for a field. For a relationship, the value is the id of a
+   * related record, or the related record itself. In a reverse index, it is a `referenceKey`.
+   *
+   * @param {string} field the indexed field
+   * @param {*} value the value
+   * @returns {Array} the records
+   */
+  get (field, value) {
+    const key = keyFor(value?.id ?? value)
+    const records = this.entries.get(field)?.get(key)
+    return records ? Array.from(records) : []
+  }
+
+  /**
+   * Indexes a record that was added to the store as a placeholder once it is initialized
+   *
+   * @param {object} record the record
+   */
+  refresh (record) {
+    const entry = this.tracked.get(record)
+    if (entry && !entry.disposers && record.initialized) this._watch(record, entry)
+  }
+
+  /**
+   * Stops following the records map and the records
+   */
+  dispose () {
+    this._disposeObserver()
+    this.tracked.forEach((entry) => entry.disposers?.forEach((dispose) => dispose()))
+    this.tracked.clear()
+  }
+
+  /**
+   * Starts indexing a record. A record can be in the map under more than one id, such as its
+   * tmp id and the id from the server, so it is only indexed once.
+   *
+   * @param {object} record the record
+   * @private
+   */
+  _add (record) {
+    const entry = this.tracked.get(record)
+    if (entry) {
+      entry.count++
+      return
+    }
+
+    const newEntry = { count: 1, keys: {}, disposers: null }
+    this.tracked.set(record, newEntry)
+    if (record.initialized) this._watch(record, newEntry)
+  }
+
+  /**
+   * Stops indexing a record once it isn't in the map under any id
+   *
+   * @param {object} record the record
+   * @private
+   */
+  _delete (record) {
+    const entry = this.tracked.get(record)
+    if (!entry || --entry.count > 0) return
+
+    entry.disposers?.forEach((dispose) => dispose())
+    this.fields.forEach((field) => this._move(record, field, entry.keys[field] || [], []))
+    this.tracked.delete(record)
+  }
+
+  /**
+   * Indexes a record and watches its indexed fields
+   *
+   * @param {object} record the record
+   * @param {object} entry the tracking entry of the record
+   * @private
+   */
+  _watch (record, entry) {
+    entry.disposers = this.fields.map((field) => this._watchField(record, entry, field))
+  }
+
+  /**
+   * Indexes a field of a record, and updates the index whenever the field, or anything nested
+   * in it, changes. The linkage of a relationship changes when `relationships` is replaced, the
+   * relationship is set, or its linkage is changed in place.
+   *
+   * @param {object} record the record
+   * @param {object} entry the tracking entry of the record
+   * @param {string} field the indexed field
+   * @returns {Function} stops watching the field
+   * @private
+   */
+  _watchField (record, entry, field) {
+    const isRelationship = this.reverse || Boolean(record.relationshipDefinitions?.[field])
+    let disposeValue = null
+
+    /**
+     * Observes the current value of the field
+     *
+     * @returns {Function} stops observing
+     */
+    const observeValue = () => {
+      if (!isRelationship) return observeTree(record[field], update)
+
+      const disposers = [
+        observe(record.relationships, ({ name }) => {
+          if (name === field) update()
+        }),
+        observeTree(record.relationships[field], update)
+      ]
+      return () => disposers.forEach((dispose) => dispose())
+    }
+
+    /**
+     * Moves the record to its current keys for the field and observes the value it has now
+     */
+    const update = () => {
+      disposeValue?.()
+      disposeValue = untracked(observeValue)
+
+      const keys = untracked(() => this.keysFor(record, field))
+      this._move(record, field, entry.keys[field] || [], keys)
+      entry.keys[field] = keys
+    }
+    update()
+
+    const property = isRelationship ? 'relationships' : field
+    const disposeField = isObservableProp(record, property) ? observe(record, property, update) : null
+    return () => [disposeField, disposeValue].forEach((dispose) => dispose?.())
+  }
+
+  /**
+   * Moves a record from the keys it had for a field to the keys it has now
+   *
+   * @param {object} record the record
+   * @param {string} field the indexed field
+   * @param {Array} previousKeys the keys it had
+   * @param {Array} keys the keys it has now
+   * @private
+   */
+  _move (record, field, previousKeys, keys) {
+    const entries = this.entries.get(field)
+
+    runInAction(() => {
+      previousKeys.filter((key) => !keys.includes(key)).forEach((key) => {
+        const records = entries.get(key)
+        records?.delete(record)
+        if (records?.size === 0) entries.delete(key)
+      })
+
+      keys.filter((key) => !previousKeys.includes(key)).forEach((key) => {
+        if (!entries.has(key)) entries.set(key, observable.set([], { deep: false }))
+        entries.get(key).add(record)
+      })
+    })
+  }
+}
+
+export default RecordIndex
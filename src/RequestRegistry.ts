@@ -0,0 +1,194 @@
+import { action, makeObservable, observable } from 'mobx'
+import { abortError } from './utils'
+
+/**
+ * Functions that build the key used to decide whether two requests are identical.
+ * The method and body are always part of the key, so different mutations to the
+ * same url are never combined.
+ */
+export const deduplicationKeys = {
+  /**
+   * Requests are identical if they have the same url, method and body
+   *
+   * @param {string} url the request url
+   * @param {object} fetchOptions the options for `fetch`
+   * @returns {string} the key
+   */
+  url: (url, fetchOptions) => {
+    const { method, body } = fetchOptions
+    return JSON.stringify({ url, method, body })
+  },
+  /**
+   * Requests are identical if they also have the same headers
+   *
+   * @param {string} url the request url
+   * @param {object} fetchOptions the options for `fetch`
+   * @returns {string} the key
+   */
+  urlAndHeaders: (url, fetchOptions) => {
+    const { method, body, headers } = fetchOptions
+    return JSON.stringify({ url, method, body, headers })
+  }
+}
+
+/**
+ * Annotations for mobx observability.
+ */
+const mobxAnnotations = {
+  inFlightCount: observable,
+  deduplicatedCount: observable,
+  combine: action,
+  _release: action
+}
+
+/**
+ * Keeps track of the requests a store has in flight, so that an identical request made
+ * while another is pending waits for the first one instead of going to the server again.
+ * Each store owns its own registry.
+ *
+ *   const store = new AppStore({ deduplicationOptions: { key: 'url' } })
+ *   store.requestRegistry.inFlightCount
+ *   => 0
+ */
+class RequestRegistry {
+  /**
+   * The number of distinct requests in flight
+   *
+   * @type {number}
+   * @default 0
+   */
+  inFlightCount = 0
+
+  /**
+   * The number of requests that were combined with an identical request in flight
+   *
+   * @type {number}
+   * @default 0
+   */
+  deduplicatedCount = 0
+
+  /**
+   * Pending requests by key. Each is `{ promise, controller, callers }`.
+   *
+   * @type {Map}
+   */
+  pending = new Map()
+
+  /**
+   * Configures the registry
+   *
+   * @param {object} options the options for deduplication
+   * @param {boolean} options.enabled set to false to send every request, defaults to true
+   * @param {string|Function} options.key 'url', 'urlAndHeaders' (the default) or a function of (url, fetchOptions)
+   */
+  constructor ({ enabled = true, key = 'urlAndHeaders' } = {}) {
+    const keyFor = typeof key === 'function' ? key : deduplicationKeys[key]
+
+    if (!keyFor) {
+      throw new Error(`Unknown deduplication key '${key}'`)
+    }
+
+    this.enabled = enabled
+    this.keyFor = keyFor
+
+    makeObservable(this, mobxAnnotations)
+  }
+
+  /**
+   * Avoids making racing requests by blocking a request if an identical one is
+   * already in-flight. Blocked requests will be resolved when the initial request
+   * resolves by cloning the response.
+   *
+   * Each caller can pass an `AbortSignal`. Aborting it rejects that caller right away,
+   * but the shared request is only aborted once every caller waiting for it has cancelled.
+   *
+   * @param {string} url the request url
+   * @param {object} fetchOptions the options for `fetch`, used to build the key
+   * @param {Function} fn the function the generates the promise, given the `AbortSignal` of the shared request
+   * @param {AbortSignal} signal an optional signal to cancel this caller
+   * @returns {Promise} the request
+   */
+  combine (url, fetchOptions, fn, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(abortError())
+    }
+
+    const key = this.enabled ? this.keyFor(url, fetchOptions) : Symbol(url)
+
+    // Add the current call to our pending list in case another request comes in
+    // before it resolves. If there is a request already pending, we'll use the
+    // existing one instead
+    let request = this.pending.get(key)
+    if (request) {
+      this.deduplicatedCount++
+    } else {
+      const controller = new AbortController()
+      request = { controller, callers: 0, promise: fn.call(null, controller.signal) }
+      this.pending.set(key, request)
+      this.inFlightCount++
+    }
+
+    // keep track of the number of callers waiting for this promise to resolve
+    request.callers++
+
+    let released = false
+    /**
+     * Stops this caller from waiting for the request. Only counts once per caller.
+     *
+     * @returns {number} the number of callers still waiting
+     */
+    const release = () => {
+      if (!released) {
+        released = true
+        this._release(key, request)
+      }
+      return request.callers
+    }
+
+    const result = request.promise
+      .finally(release)
+      .then(
+        // if there are other callers waiting for this request to resolve, clone the
+        // response before returning so that we can re-use it for the remaining callers
+        response => response.clone(),
+        // Bubble the error up to be handled by the consuming code
+        error => Promise.reject(error)
+      )
+
+    if (!signal) return result
+
+    return new Promise((resolve, reject) => {
+      /**
+       * Rejects this caller, aborting the request if no other caller is waiting for it
+       */
+      const onAbort = () => {
+        // the last caller to cancel aborts the shared request
+        if (!released && release() === 0) request.controller.abort()
+        reject(abortError())
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      result
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort))
+    })
+  }
+
+  /**
+   * Removes a caller from a pending request. If there are no more callers waiting for it
+   * (i.e. if this is the last one), we can remove the reference to the pending promise
+   * allowing subsequent requests to proceed unblocked.
+   *
+   * @param {string} key the key of the request
+   * @param {object} request the pending request
+   * @private
+   */
+  _release (key, request) {
+    request.callers--
+    if (request.callers === 0 && this.pending.get(key) === request) {
+      this.pending.delete(key)
+      this.inFlightCount--
+    }
+  }
+}
+
+export default RequestRegistry
@@ -1,14 +1,30 @@
-import { action, makeObservable, observable, runInAction, toJS } from 'mobx'
+import { action, computed, makeObservable, observable, runInAction, toJS, when } from 'mobx'
 import pick from 'lodash/pick'
+import pickBy from 'lodash/pickBy'
 import {
   fetchWithRetry,
+  defaultRetryOptions,
   deriveIdQueryStrings,
   parseErrors,
   parseErrorPointer,
   requestUrl,
-  newId
+  newId,
+  isAbortError,
+  errorsFromError,
+  QueryString,
+  resourceLinkage,
+  splitList
 } from './utils'
 import cloneDeep from 'lodash/cloneDeep'
+import PaginatedQuery from './PaginatedQuery'
+import { authentication, defaultMiddleware, runMiddleware } from './middleware'
+import Query from './Query'
+import RequestRegistry from './RequestRegistry'
+import MutationQueue from './MutationQueue'
+import PersistentCache from './PersistentCache'
+import AtomicOperations from './AtomicOperations'
+import { evaluateQuery, filterPaths } from './localQuery'
+import RecordIndex, { indexKeys, referenceKey, referenceKeys } from './RecordIndex'
 
 /**
  * Annotations for mobx observability. We can't use `makeAutoObservable` because we have subclasses.
@@ -19,12 +35,16 @@ const mobxAnnotations = {
   lastResponseHeaders: observable,
   loadingStates: observable,
   loadedStates: observable,
+  errorStates: observable,
   add: action,
   pickAttributes: action,
   pickRelationships: action,
   bulkSave: action,
   _bulkSave: action,
   bulkCreate: action,
+  bulkDestroy: action,
+  _bulkDestroy: action,
+  atomic: action,
   bulkUpdate: action,
   remove: action,
   getOne: action,
@@ -37,20 +57,50 @@ const mobxAnnotations = {
   getAll: action,
   setLoadingState: action,
   deleteLoadingState: action,
+  clearLoadingState: action,
+  failLoadingState: action,
+  trackRequest: action,
+  untrackRequest: action,
+  cancel: action,
+  fetchTracked: action,
   fetchAll: action,
+  fetchRelated: action,
+  fetchRelationship: action,
   findAll: action,
+  paginate: action,
+  query: action,
   reset: action,
+  hydrate: action,
   init: action,
   initializeNetworkConfiguration: action,
   initializeModelIndex: action,
   initializeErrorMessages: action,
+  initializeCacheConfiguration: action,
+  initializeOfflineConfiguration: action,
+  initializePersistence: action,
+  cacheOptionsFor: action,
+  sparseFieldsFor: action,
+  hasFieldsFor: action,
+  markIncludesLoaded: action,
+  cachedUrlIgnoringInclude: action,
+  isCacheStale: action,
+  invalidate: action,
+  invalidateFor: action,
+  revalidate: action,
   fetch: action,
+  use: action,
+  on: action,
+  emit: action,
   getRecord: action,
   getRecords: action,
   getRecordsById: action,
   clearCache: action,
+  retain: action,
+  gc: action,
+  enforceRecordLimit: action,
   getCachedRecord: action,
   getCachedRecords: action,
+  getCachedRecordsForUrl: action,
   getCachedIds: action,
   getCachedId: action,
   getKlass: action,
@@ -61,6 +111,39 @@ const mobxAnnotations = {
   updateRecordsFromResponse: action
 }
 
+/**
+ * Returns query params without the `include` param
+ *
+ * @param {object} queryParams the query params
+ * @returns {object} a copy without `include`
+ */
+const withoutInclude = (queryParams) => {
+  return Object.fromEntries(Object.entries(queryParams).filter(([key]) => key !== 'include'))
+}
+
+/**
+ * Returns the linkage a relationship has on the server once some of its related records were
+ * fetched. A page of a to-many relationship, fetched with a `page` param or with `next` or `prev`
+ * links, is added to the persisted linkage instead of replacing it, since it is only part of it.
+ *
+ * @param {object} record the record
+ * @param {string} name the relationship name
+ * @param {object|Array} data the primary data of the response
+ * @param {object} queryParams the query params of the request
+ * @param {object} links the top-level links of the response
+ * @returns {object|Array} the resource identifiers
+ */
+const fetchedLinkage = (record, name, data, queryParams = {}, links = {}) => {
+  const linkage = resourceLinkage(data)
+  const isPage = Array.isArray(linkage) && (queryParams.page != null || links.next != null || links.prev != null)
+  if (!isPage) return linkage
+
+  const persisted = [].concat(record.persistedOrFirstSnapshot?.relationships?.[name]?.data || [])
+  const keys = new Set(persisted.map(({ type, id }) => referenceKey(type, id)))
+  const added = linkage.filter(({ type, id }) => !keys.has(referenceKey(type, id)))
+  return [...persisted.map(({ id, type }) => ({ id, type })), ...added]
+}
+
 /**
  * Defines the Data Store class.
  */
@@ -71,7 +154,10 @@ class Store {
    *   todos: {
    *     records: observable.map(), // records by id
    *     cache: observable.map(), // cached ids by url
-   *     meta: observable.map() // meta information by url
+   *     meta: observable.map(), // meta information by url
+   *     links: observable.map(), // top-level links by url
+   *     fetchedAt: observable.map(), // timestamp of the last fetch by url
+   *     invalidated: observable.set() // urls marked stale by `invalidate`
    *   }
    * }
    *
@@ -111,6 +197,18 @@ class Store {
 
   loadedStates = new Map()
 
+  /**
+   * Map of the failed requests of each type (or tag), by url. The error of a url is cleared
+   * once a request to it with the same tag succeeds.
+   * - Key is a tag that is either the model type or a custom value
+   * - Value is a Map of urls to { url, errors, status, failedAt } with the JSON:API errors of
+   *   the response, its status, which is undefined if there was no response, and when the
+   *   request failed
+   *
+   * @type {Map}
+   */
+  errorStates = new Map()
+
   /**
    * True if models in the store should stop taking snapshots. This is
    * useful when updating records without causing records to become
@@ -120,6 +218,81 @@ class Store {
    */
   pauseSnapshots = false
 
+  /**
+   * AbortControllers of the requests in flight, by query tag. Used by `cancel`.
+   *
+   * @type {Map}
+   */
+  abortControllers = new Map()
+
+  /**
+   * Functions that stop following the caller's `signal` of a request, by its AbortController
+   *
+   * @type {Map}
+   * @private
+   */
+  _signalListeners = new Map()
+
+  /**
+   * Paginated queries by cache key, so that paginating the same query twice
+   * returns the same object.
+   *
+   * @type {Map}
+   */
+  paginatedQueries = new Map()
+
+  /**
+   * The queries from `query` that something is observing, so `invalidate` can refetch them
+   *
+   * @type {Set}
+   */
+  observedQueries = new Set()
+
+  /**
+   * Event handlers by event name. See `on`.
+   *
+   * @type {Map}
+   */
+  listeners = new Map()
+
+  /**
+   * The indexes of the types whose models define `static indexes`, by type
+   *
+   * @type {object}
+   */
+  indexes = {}
+
+  /**
+   * The reverse indexes of the relationships that are the inverse of a to-many relationship,
+   * by the type of the records with the relationship
+   *
+   * @type {object}
+   */
+  referenceIndexes = {}
+
+  /**
+   * Records and queries that must not be collected, with the number of times each was
+   * retained. See `retain`.
+   *
+   * @type {Map}
+   */
+  retained = new Map()
+
+  /**
+   * When each record was last read or loaded, as a running count, to find the least
+   * recently used records when a type has more than `maxRecords`
+   *
+   * @type {WeakMap}
+   */
+  lastAccessed = new WeakMap()
+
+  /**
+   * Incremented on every access recorded in `lastAccessed`
+   *
+   * @type {number}
+   */
+  accessCount = 0
+
   /**
    * Initializer for Store class
    *
@@ -170,6 +343,8 @@ class Store {
       this.pauseSnapshots = false
 
       this.data[type].records.set(id, record)
+      this.touch(record)
+      this.enforceRecordLimit(type, [record])
 
       return record
     }
@@ -256,17 +431,13 @@ class Store {
     const recordAttributes = records.map((record) => record.jsonapi(options))
     const body = JSON.stringify({ data: recordAttributes })
 
-    const extensionStr = extensions?.length
-      ? `ext="bulk,${extensions.join()}"`
-      : 'ext="bulk"'
-
     const response = this.fetch(url, {
-      headers: {
-        ...this.defaultFetchOptions.headers,
-        'Content-Type': `application/vnd.api+json; ${extensionStr}`
-      },
+      headers: this._bulkHeaders(extensions),
       method,
-      body
+      body,
+      retryOptions: this.retryOptions.mutations,
+      type,
+      operation: 'bulkSave'
     })
 
     return this.updateRecordsFromResponse(response, records)
@@ -304,6 +475,185 @@ class Store {
     return this._bulkSave(type, records, options, 'PATCH')
   }
 
+  /**
+   * Deletes a collection of records via a bulk-supported JSONApi endpoint, with a `DELETE`
+   * request whose data are the identifiers of the records. All records need to be of the same
+   * type and have an existing id.
+   *
+   * On success the records are removed from the store, and taken out of the inverse relationships
+   * of their related records. If the request fails, errors that point to a record are added to
+   * its `errors`, under the attribute they point to or `base`.
+   *
+   * With `dryRun: true`, nothing is sent and the promise resolves to what would be affected:
+   * `{ records, relatedRecords }`, where `relatedRecords` are the records whose relationships
+   * refer to the records being deleted.
+   *
+   *   const { relatedRecords } = await store.bulkDestroy('todos', selected, { dryRun: true })
+   *   await store.bulkDestroy('todos', selected)
+   *
+   * @param {string} type the model type
+   * @param {Array} records records to be deleted
+   * @param {object} options { queryParams, extensions, dryRun }
+   * @returns {Promise} the deleted records
+   */
+  bulkDestroy (type, records, options = {}) {
+    if (records.some((record) => record.isNew)) {
+      throw new Error('Invariant violated: all records must have a persisted id to perform a destroy')
+    }
+
+    const inverseReferences = this._inverseReferences(records)
+
+    if (options.dryRun) {
+      const relatedRecords = Array.from(new Set(inverseReferences.map(({ record }) => record)))
+      return Promise.resolve({ records, relatedRecords })
+    }
+
+    return this._bulkDestroy(type, records, inverseReferences, options)
+  }
+
+  /**
+   * Sends the request of `bulkDestroy` and applies its outcome to the records
+   *
+   * @param {string} type the model type
+   * @param {Array} records records to be deleted
+   * @param {Array} inverseReferences the inverse relationships to clean up, from `_inverseReferences`
+   * @param {object} options { queryParams, extensions }
+   * @returns {Promise} the deleted records
+   * @private
+   */
+  async _bulkDestroy (type, records, inverseReferences, options = {}) {
+    const { queryParams, extensions } = options
+    const url = this.fetchUrl(type, queryParams, null)
+    const body = JSON.stringify({ data: records.map(({ id }) => ({ id: String(id), type })) })
+
+    records.forEach((record) => {
+      record.isInFlight = true
+    })
+
+    let response
+    try {
+      response = await this.fetch(url, {
+        headers: this._bulkHeaders(extensions),
+        method: 'DELETE',
+        body,
+        retryOptions: this.retryOptions.mutations,
+        type,
+        operation: 'bulkDestroy'
+      })
+    } finally {
+      runInAction(() => {
+        records.forEach((record) => {
+          record.isInFlight = false
+        })
+      })
+    }
+
+    if ([200, 202, 204].includes(response.status)) {
+      runInAction(() => {
+        inverseReferences.forEach(({ record, name, removedRecords }) => {
+          const data = toJS(record.relationships[name]?.data)
+          const linkage = Array.isArray(data)
+            ? data.filter((reference) => !removedRecords.some(({ id, type }) => reference.id === id && reference.type === type))
+            : null
+          record._setPersistedRelationship(name, linkage)
+        })
+        records.forEach((record) => this.remove(type, record.id))
+      })
+      records.forEach((record) => this.invalidateFor(record, 'destroy'))
+
+      return records
+    }
+
+    const errors = await parseErrors(response, this.errorMessages)
+    runInAction(() => {
+      errors.forEach((error) => {
+        // only pointers that name a record by index, such as `/data/1` or `/data/1/relationships/project`
+        const match = error.source?.pointer?.match(/^\/data\/(\d+)(\/|$)/)
+        const record = match && records[match[1]]
+        if (!record) return
+
+        const { key = 'base' } = parseErrorPointer(error)
+        record.errors[key] = [...(record.errors[key] || []), error]
+      })
+    })
+    throw new Error(JSON.stringify(errors))
+  }
+
+  /**
+   * Finds the inverse relationships that refer to records about to be deleted
+   *
+   * @param {Array} records the records
+   * @returns {Array} `{ record, name, removedRecords }` for every related record and inverse relationship name
+   * @private
+   */
+  _inverseReferences (records) {
+    const references = new Map()
+
+    records.forEach((record) => {
+      Object.entries(record.relationshipDefinitions || {}).forEach(([name, { direction, inverse }]) => {
+        if (!inverse) return
+
+        let relatedRecords = []
+        if (record.relationships[name]?.data) {
+          relatedRecords = record._relatedRecordsFor(name).filter(Boolean)
+        } else if (direction === 'toMany') {
+          relatedRecords = Array.from(record[name])
+        }
+
+        relatedRecords.forEach((relatedRecord) => {
+          const linkage = [].concat(relatedRecord.relationships[inverse.name]?.data || [])
+          if (!linkage.some(({ id, type }) => String(id) === record.id && type === record.type)) return
+
+          const key = `${relatedRecord.type}:${relatedRecord.id}:${inverse.name}`
+          if (!references.has(key)) references.set(key, { record: relatedRecord, name: inverse.name, removedRecords: [] })
+          references.get(key).removedRecords.push(record)
+        })
+      })
+    })
+
+    return Array.from(references.values())
+  }
+
+  /**
+   * Returns the headers of a request to a bulk-supported endpoint
+   *
+   * @param {Array} extensions more JSON:API extensions the request uses
+   * @returns {object} the headers
+   * @private
+   */
+  _bulkHeaders (extensions) {
+    const extensionStr = extensions?.length
+      ? `ext="bulk,${extensions.join()}"`
+      : 'ext="bulk"'
+
+    return {
+      ...this.defaultFetchOptions.headers,
+      'Content-Type': `application/vnd.api+json; ${extensionStr}`
+    }
+  }
+
+  /**
+   * Creates, updates and deletes records of any types in one request with the JSON:API Atomic
+   * Operations extension, so that either all of the changes are saved or none are. The builder
+   * is given an `AtomicOperations` to `add`, `update` and `remove` records with, see there.
+   *
+   *   await store.atomic((operations) => {
+   *     operations.add(project)
+   *     todos.forEach((todo) => operations.add(todo, { relationships: ['project'] }))
+   *   })
+   *
+   * @param {Function} build adds the operations
+   * @param {object} options { url, signal }, where `url` defaults to `{baseUrl}/operations`
+   * @returns {Promise} the records of the operations, in order
+   */
+  atomic (build, options = {}) {
+    const operations = new AtomicOperations(this)
+    build(operations)
+
+    if (operations.operations.length === 0) return Promise.resolve([])
+    return operations.commit(options)
+  }
+
   /**
    * Removes a record from the store by deleting it from the
    * type's record map
@@ -312,7 +662,7 @@ class Store {
    * @param {string} id of record to remove
    */
   remove (type, id) {
-    this.data[type].records.delete(String(id))
+    this._deleteRecords(type, [String(id)])
   }
 
   /**
@@ -339,11 +689,13 @@ class Store {
 
   /**
    * Fetches record by `id` from the server and returns a Promise.
+   * Top-level `meta` and `links` from the response are cached by url and kept on the
+   * record as `documentMeta` and `documentLinks`.
    *
    * @async
    * @param {string} type the record type to fetch
    * @param {string} id the id of the record to fetch
-   * @param {object} options { queryParams }
+   * @param {object} options { queryParams, queryTag, signal }
    * @returns {Promise} record result wrapped in a Promise
    */
   async fetchOne (type, id, options = {}) {
@@ -356,24 +708,31 @@ class Store {
 
     const state = this.setLoadingState({ ...options, type, id, url })
 
-    const response = await this.fetch(url, { method: 'GET' })
+    const response = await this.fetchTracked(url, state, options.signal, 'fetchOne')
 
     if (response.status === 200) {
-      const { data, included } = await response.json()
+      const json = await response.json()
+      const { data, included, meta, links } = json
 
-      const record = this.createOrUpdateModelFromData(data)
+      const record = this.createOrUpdateModelFromData(data, { fields: queryParams?.fields })
 
       if (included) {
-        this.createOrUpdateModelsFromData(included)
+        this.createOrUpdateModelsFromData(included, { fields: queryParams?.fields })
       }
+      this.markIncludesLoaded([record], queryParams?.include)
+      record._setDocument(json)
 
       this.data[type].cache.set(url, [record.id])
+      this.data[type].fetchedAt.set(url, Date.now())
+      this.data[type].invalidated.delete(url)
+      if (meta) this.data[type].meta.set(url, meta)
+      if (links) this.data[type].links.set(url, links)
 
       this.deleteLoadingState(state)
       return record
     } else {
-      this.deleteLoadingState(state)
       const errors = await parseErrors(response, this.errorMessages)
+      this.failLoadingState(state, errors, response.status)
       throw new Error(JSON.stringify(errors))
     }
   }
@@ -389,9 +748,14 @@ class Store {
    *   // no fetch triggered
    *   => Promise(todo)
    *
+   * If the cached query is older than `maxAge`, the record is fetched again. With
+   * `staleWhileRevalidate`, the stale record is returned right away and refreshed in the background.
+   * While a persisted store is being restored, it waits for the restore first. A record that
+   * was loaded with a sparse fieldset is fetched again unless it has the fields the call needs.
+   *
    * @param {string} type the type to find
    * @param {string} id the id of the record to find
-   * @param {object} options { queryParams }
+   * @param {object} options { queryParams, maxAge, staleWhileRevalidate }
    * @returns {Promise} a promise that will resolve to the record
    */
   findOne (type, id, options = {}) {
@@ -399,8 +763,37 @@ class Store {
       console.error(`No id given while calling 'findOne' on ${type}`)
       return undefined
     }
-    const record = this.getOne(type, id, options)
-    return record?.id ? record : this.fetchOne(type, id, options)
+
+    if (this.persistentCache.isRestoring) {
+      return this.persistentCache.restore().then(() => this.findOne(type, id, options))
+    }
+
+    // a request with includes is answered from the identity map if the included paths are loaded
+    const queryParams = options.queryParams || {}
+    const onlyIncludes = Object.keys(queryParams).every((key) => key === 'include' || key === 'fields')
+    const includes = onlyIncludes ? splitList(queryParams.include) : []
+    const record = includes.length > 0 ? this.getRecord(type, id) : this.getOne(type, id, options)
+
+    if (!record?.id || !this.hasFieldsFor(record, options.queryParams)) {
+      return this.fetchOne(type, id, options)
+    }
+
+    const missingIncludes = includes.filter((path) => !record.isIncludeLoaded(path))
+    if (missingIncludes.length > 0) {
+      return this.fetchOne(type, id, { ...options, queryParams: { ...options.queryParams, include: missingIncludes.join(',') } })
+    }
+
+    const url = this.fetchUrl(type, options.queryParams, id)
+
+    if (this.isCacheStale(type, url, options)) {
+      if (this.cacheOptionsFor(type, options).staleWhileRevalidate) {
+        this.revalidate(this.fetchOne(type, id, options))
+      } else {
+        return this.fetchOne(type, id, options)
+      }
+    }
+
+    return record
   }
 
   /**
@@ -423,12 +816,12 @@ class Store {
    *
    * @param {string} type the type to get
    * @param {string} ids the ids of the records to get
-   * @param {object} options { queryParams }
+   * @param {object} options { queryParams, queryTag, signal }
    * @returns {Promise} Promise.resolve(records) or Promise.reject([Error: [{ detail, status }])
    */
   fetchMany (type, ids, options = {}) {
     const idsToQuery = ids.slice().map(String)
-    const { queryParams = {}, queryTag } = options
+    const { queryParams = {}, queryTag, signal } = options
     queryParams.filter = queryParams.filter || {}
 
     const baseUrl = this.fetchUrl(type, queryParams)
@@ -437,7 +830,7 @@ class Store {
       const params = cloneDeep(queryParams)
       params.filter.ids = queryIds
 
-      return this.fetchAll(type, { queryParams: params, queryTag })
+      return this.fetchAll(type, { queryParams: params, queryTag, signal })
     })
 
     return Promise.all(queries)
@@ -506,8 +899,137 @@ class Store {
     return requestUrl(baseUrl, endpoint, queryParams, id, options)
   }
 
+  /**
+   * Queries the records of a type in the store with JSON:API-style `filter` and `sort` params,
+   * and an optional `limit`. Filters can follow relationships, as in `{ 'project.id': '1' }`,
+   * see `localQuery.ts`. This will never fetch from the server, so the same params can be
+   * passed to `findAll` as `queryParams` or answered locally.
+   *
+   * The result is a mobx computed value that stays up to date as records are added, changed
+   * or removed.
+   *
+   *   const openTodos = store.where('todos', { filter: { 'project.id': project.id, done: false }, sort: '-due_at' })
+   *   openTodos.get()
+   *   => [todo1, todo3]
+   *
+   * @param {string} type the type to query
+   * @param {object} params { filter, sort, limit }
+   * @returns {object} a computed value with the matching records
+   */
+  where (type, params = {}) {
+    return computed(() => {
+      // reads the records map directly, since `getAll` is an action and wouldn't be tracked
+      const records = this._indexedRecords(type, params.filter) || Array.from(new Set(this.data[type].records.values()))
+      return evaluateQuery(records.filter((record) => record.initialized && !record.isPendingDestroy), params)
+    })
+  }
+
+  /**
+   * Returns the records of a type with a value for a field, such as all todos with a status or
+   * of a project. For a relationship, the value is the id of a related record or the record.
+   * Fields in `static indexes` of the model are looked up in the index, others go through
+   * every record. This will never fetch from the server, and reading it in a reaction tracks
+   * the records that are added or removed.
+   *
+   *   store.getBy('todos', 'project', '1')
+   *   store.getBy('todos', 'status', 'done')
+   *
+   * @param {string} type the model type
+   * @param {string} field an attribute or relationship name
+   * @param {*} value the value
+   * @returns {Array} the records
+   */
+  getBy (type, field, value) {
+    const index = this.indexes[type]
+    let records
+
+    if (index?.fields.includes(field)) {
+      records = index.get(field, value)
+    } else {
+      const key = value?.id ?? value
+      records = Array.from(new Set(this.data[type].records.values())).filter((record) => {
+        return record.initialized && indexKeys(record, field).includes(key == null ? null : String(key))
+      })
+    }
+
+    return records.filter((record) => record.initialized && !record.isPendingDestroy)
+  }
+
+  /**
+   * Returns the records of some types whose relationship refers to a record, such as the notes
+   * whose `todo` is a todo. This is how an inverse to-many relationship without linkage is found,
+   * through the reverse index of the relationship.
+   *
+   *   store.getReferencingRecords(todo, 'todo', ['notes'])
+   *
+   * @param {object} record the referenced record
+   * @param {string} name the relationship name on the referencing records
+   * @param {Array} types the types of the referencing records
+   * @returns {Array} the referencing records
+   */
+  getReferencingRecords (record, name, types) {
+    const key = referenceKey(record.type, record.id)
+    const records = types.flatMap((type) => {
+      const index = this.referenceIndexes[type]
+      if (index?.fields.includes(name)) return index.get(name, key)
+      if (!this.data[type]) return []
+      return Array.from(this.data[type].records.values()).filter((potentialRecord) => {
+        return potentialRecord.initialized && referenceKeys(potentialRecord, name).includes(key)
+      })
+    })
+
+    return Array.from(new Set(records)).filter((referencingRecord) => referencingRecord.initialized && !referencingRecord.isPendingDestroy)
+  }
+
+  /**
+   * Returns the names of the relationships of a type that are the inverse of a to-many
+   * relationship, which get a reverse index
+   *
+   * @param {string} type the model type
+   * @returns {Array} the relationship names
+   * @private
+   */
+  _inverseRelationshipNames (type) {
+    const names = this.models.flatMap(({ relationshipDefinitions = {} }) => {
+      return Object.entries(relationshipDefinitions)
+        .filter(([name, { direction, inverse, types }]) => {
+          return direction === 'toMany' && inverse && (types || [name]).includes(type)
+        })
+        .map(([, { inverse }]) => inverse.name)
+    })
+
+    return Array.from(new Set(names))
+  }
+
+  /**
+   * Returns the records that can match a filter from the index of one of its fields, or
+   * `null` if the filter has no indexed field
+   *
+   * @param {string} type the model type
+   * @param {object} filter the filter of `where`
+   * @returns {Array} the candidate records
+   * @private
+   */
+  _indexedRecords (type, filter) {
+    const index = this.indexes[type]
+    if (!index || !filter) return null
+
+    for (const [path, expected] of filterPaths(filter)) {
+      const field = path.replace(/\.id$/, '')
+      if (expected === null || !index.fields.includes(field)) continue
+
+      // like `where`, a comma separated string is only a list of ids
+      const isRelationship = Boolean(this.getKlass(type).relationshipDefinitions?.[field])
+      const values = Array.isArray(expected) || !isRelationship ? [].concat(expected) : splitList(String(expected))
+      return Array.from(new Set(values.flatMap((value) => index.get(field, value))))
+    }
+
+    return null
+  }
+
   /**
    * Gets all records with the given `type` from the store. This will never fetch from the server.
+   * Records with an optimistic `destroy` in flight are left out.
    *
    * @param {string} type the type to find
    * @param {object} options options for fetching queryParams
@@ -518,7 +1040,7 @@ class Store {
     if (queryParams) {
       return this.getCachedRecords(type, queryParams)
     } else {
-      return this.getRecords(type).filter((record) => record.initialized)
+      return this.getRecords(type).filter((record) => record.initialized && !record.isPendingDestroy)
     }
   }
 
@@ -553,13 +1075,13 @@ class Store {
 
   /**
    * Removes a loading state. If that leaves an empty array for the map key in `loadingStates`,
-   * will also delete the set. Also adds to loadedStates.
+   * will also delete the set. Also adds to loadedStates and clears the error state of the url.
    *
    * @param {object} state the state to remove
    */
   deleteLoadingState (state) {
-    const { loadingStates, loadedStates } = this
-    const { queryTag } = state
+    const { loadedStates, errorStates } = this
+    const { url, queryTag } = state
 
     const encodedState = JSON.stringify(state)
 
@@ -568,66 +1090,381 @@ class Store {
     }
 
     loadedStates.get(queryTag).add(encodedState)
+    errorStates.get(queryTag)?.delete(url)
+    if (errorStates.get(queryTag)?.size === 0) errorStates.delete(queryTag)
 
-    if (loadingStates.get(queryTag)) {
-      loadingStates.get(queryTag).delete(encodedState)
-      if (loadingStates.get(queryTag).size === 0) {
-        loadingStates.delete(queryTag)
-      }
-    } else {
+    if (!this.clearLoadingState(state)) {
       console.warn(`no loadingState found for ${encodedState}`)
     }
   }
 
   /**
-   * Finds all records with the given `type`. Always fetches from the server.
+   * Removes a loading state without adding it to loadedStates, for requests
+   * that were cancelled or failed before a response arrived.
    *
-   * @async
-   * @param {string} type the type to find
-   * @param {object} options query params and other options
-   * @returns {Promise} Promise.resolve(records) or Promise.reject([Error: [{ detail, status }])
+   * @param {object} state the state to remove
+   * @returns {boolean} true if the state was loading
    */
-  async fetchAll (type, options = {}) {
-    const { queryParams } = options
-
-    const url = this.fetchUrl(type, queryParams)
-
-    const state = this.setLoadingState({ ...options, type, url })
-
-    const response = await this.fetch(url, { method: 'GET' })
+  clearLoadingState (state) {
+    const { loadingStates } = this
+    const { queryTag } = state
 
-    if (response.status === 200) {
-      const { included, data, meta } = await response.json()
+    const states = loadingStates.get(queryTag)
+    if (!states) return false
 
-      let records
-      runInAction(() => {
-        if (included) {
-          this.createOrUpdateModelsFromData(included)
-        }
+    states.delete(JSON.stringify(state))
+    if (states.size === 0) {
+      loadingStates.delete(queryTag)
+    }
+    return true
+  }
 
-        records = this.createOrUpdateModelsFromData(data)
-        const recordIds = records.map(({ id }) => id)
-        this.data[type].cache.set(url, recordIds)
+  /**
+   * Removes the loading state of a request that failed and keeps its errors in `errorStates`.
+   * A request that got a response is also added to loadedStates, as `deleteLoadingState` does.
+   *
+   * @param {object} state the state to remove
+   * @param {Array} errors the JSON:API errors
+   * @param {number} status the status of the response, if there was one
+   */
+  failLoadingState (state, errors, status) {
+    const { errorStates } = this
+    const { url, queryTag } = state
 
-        this.deleteLoadingState(state)
-      })
-      if (meta) {
-        records.meta = meta
-        this.data[type].meta.set(url, meta)
-      }
-      return records
+    if (status === undefined) {
+      this.clearLoadingState(state)
     } else {
-      runInAction(() => {
-        this.deleteLoadingState(state)
-      })
-      const errors = await parseErrors(response, this.errorMessages)
-      throw new Error(JSON.stringify(errors))
+      this.deleteLoadingState(state)
     }
+
+    if (!errorStates.get(queryTag)) {
+      errorStates.set(queryTag, new Map())
+    }
+    // the last failure of a tag comes last
+    errorStates.get(queryTag).delete(url)
+    errorStates.get(queryTag).set(url, { url, errors, status, failedAt: Date.now() })
   }
 
   /**
-   * Finds all records of the given `type`.
-   * If any records from the given type from url are in the store, it returns those.
+   * True while a request of a type (or tag) is in flight
+   *
+   * @param {string} queryTag the model type or query tag
+   * @returns {boolean} true if loading
+   */
+  isLoading (queryTag) {
+    return this.loadingStates.get(queryTag)?.size > 0
+  }
+
+  /**
+   * True once a request of a type (or tag) has succeeded, and the last request to its url
+   * didn't fail
+   *
+   * @param {string} queryTag the model type or query tag
+   * @returns {boolean} true if loaded
+   */
+  isLoaded (queryTag) {
+    const errors = this.errorStates.get(queryTag)
+    const states = Array.from(this.loadedStates.get(queryTag) || [])
+    return states.some((state) => !errors?.has(JSON.parse(state).url))
+  }
+
+  /**
+   * Returns the error state of the last failed request of a type (or tag), or of the request
+   * to a url with the tag, see `errorStates`. A failure stays until a request to the same url
+   * succeeds, so other requests with the tag don't hide it.
+   *
+   *   store.errorFor('myTodos')
+   *   => { url, errors: [{ detail, status }], status: 500, failedAt }
+   *
+   * @param {string} queryTag the model type or query tag
+   * @param {string} url the url of the request, to get the error of that request only
+   * @returns {object} the error state, or undefined if there is no failed request
+   */
+  errorFor (queryTag, url) {
+    const errors = this.errorStates.get(queryTag)
+    if (url) return errors?.get(url)
+    return errors && Array.from(errors.values()).pop()
+  }
+
+  /**
+   * Waits until no request of a type (or tag) is in flight and one has either succeeded or failed
+   *
+   *   await store.whenLoaded('myTodos')
+   *
+   * @param {string} queryTag the model type or query tag
+   * @returns {Promise} resolves once loaded, or rejects with the errors if the last request failed
+   */
+  async whenLoaded (queryTag) {
+    await when(() => !this.isLoading(queryTag) && (this.isLoaded(queryTag) || this.errorFor(queryTag) !== undefined))
+
+    const errorState = this.errorFor(queryTag)
+    if (errorState) throw new Error(JSON.stringify(errorState.errors))
+  }
+
+  /**
+   * Registers an in-flight request under its query tag so it can be cancelled with `cancel`.
+   * The returned AbortController is also aborted when the caller's own `signal` is.
+   *
+   * @param {string} queryTag the tag of the loading state
+   * @param {AbortSignal} signal an optional signal from the caller
+   * @returns {AbortController} the controller for the request
+   */
+  trackRequest (queryTag, signal) {
+    const controller = new AbortController()
+
+    if (signal?.aborted) {
+      controller.abort()
+    } else if (signal) {
+      /**
+       * Aborts the request when the caller's signal is aborted
+       */
+      const abort = () => {
+        controller.abort()
+      }
+      signal.addEventListener('abort', abort, { once: true })
+      this._signalListeners.set(controller, () => signal.removeEventListener('abort', abort))
+    }
+
+    if (!this.abortControllers.get(queryTag)) {
+      this.abortControllers.set(queryTag, new Set())
+    }
+    this.abortControllers.get(queryTag).add(controller)
+
+    return controller
+  }
+
+  /**
+   * Removes a request registered with `trackRequest`, and stops following the caller's signal,
+   * which may be used again for other requests
+   *
+   * @param {string} queryTag the tag of the loading state
+   * @param {AbortController} controller the controller for the request
+   */
+  untrackRequest (queryTag, controller) {
+    this._signalListeners.get(controller)?.()
+    this._signalListeners.delete(controller)
+
+    const controllers = this.abortControllers.get(queryTag)
+    if (!controllers) return
+
+    controllers.delete(controller)
+    if (controllers.size === 0) {
+      this.abortControllers.delete(queryTag)
+    }
+  }
+
+  /**
+   * Cancels every request loading under the given tag. Cancelled requests reject with an
+   * `AbortError` and their loading states are removed. A request shared with an identical
+   * one that was not cancelled keeps running for the other caller.
+   *
+   *   store.fetchAll('todos', { queryTag: 'dashboard' })
+   *   store.cancel('dashboard')
+   *
+   * @param {string} queryTag the tag to cancel, either the model type or a custom value
+   */
+  cancel (queryTag) {
+    const controllers = this.abortControllers.get(queryTag)
+    if (!controllers) return
+
+    Array.from(controllers).forEach((controller) => controller.abort())
+  }
+
+  /**
+   * Fetches a GET request for a loading state, registering it so it can be cancelled.
+   * If the request is cancelled or fails without a response, the loading state is removed.
+   *
+   * @param {string} url the url to fetch
+   * @param {object} state the loading state from `setLoadingState`
+   * @param {AbortSignal} signal an optional signal from the caller
+   * @param {string} operation the method making the request, for middleware
+   * @returns {Promise} the response
+   */
+  async fetchTracked (url, state, signal, operation) {
+    const { type, queryTag } = state
+    const controller = this.trackRequest(queryTag, signal)
+
+    try {
+      return await this.fetch(url, { method: 'GET', signal: controller.signal, type, operation })
+    } catch (error) {
+      runInAction(() => {
+        if (isAbortError(error)) {
+          this.clearLoadingState(state)
+        } else {
+          this.failLoadingState(state, errorsFromError(error))
+        }
+      })
+      throw error
+    } finally {
+      this.untrackRequest(queryTag, controller)
+    }
+  }
+
+  /**
+   * Finds all records with the given `type`. Always fetches from the server.
+   * Top-level `meta` and `links` from the response are cached by url and
+   * added to the returned array. With `skipCache`, the result is not cached. With `url`, that
+   * url is fetched instead of the one built from `queryParams`, such as a pagination link.
+   *
+   * Passing a `signal`, or calling `cancel` with the query tag, aborts the request.
+   *
+   * @async
+   * @param {string} type the type to find
+   * @param {object} options query params and other options
+   * @returns {Promise} Promise.resolve(records) or Promise.reject([Error: [{ detail, status }])
+   */
+  async fetchAll (type, options = {}) {
+    const { queryParams, skipCache } = options
+
+    const url = options.url || this.fetchUrl(type, queryParams)
+
+    const state = this.setLoadingState({ ...options, type, url })
+
+    const response = await this.fetchTracked(url, state, options.signal, 'fetchAll')
+
+    if (response.status === 200) {
+      const { included, data, meta, links } = await response.json()
+
+      let records
+      runInAction(() => {
+        if (included) {
+          this.createOrUpdateModelsFromData(included, { fields: queryParams?.fields })
+        }
+
+        records = this.createOrUpdateModelsFromData(data, { fields: queryParams?.fields })
+        this.markIncludesLoaded(records, queryParams?.include)
+        if (!skipCache) {
+          const recordIds = records.map(({ id }) => id)
+          this.data[type].cache.set(url, recordIds)
+          this.data[type].fetchedAt.set(url, Date.now())
+          this.data[type].invalidated.delete(url)
+        }
+
+        this.deleteLoadingState(state)
+      })
+      if (meta) {
+        records.meta = meta
+        if (!skipCache) this.data[type].meta.set(url, meta)
+      }
+      if (links) {
+        records.links = links
+        if (!skipCache) this.data[type].links.set(url, links)
+      }
+      return records
+    } else {
+      const errors = await parseErrors(response, this.errorMessages)
+      this.failLoadingState(state, errors, response.status)
+      throw new Error(JSON.stringify(errors))
+    }
+  }
+
+  /**
+   * Returns the url of a relationship of a record. The link the server sent in the relationship
+   * object is used when there is one, otherwise the url is built from the endpoint of the record.
+   *
+   * @param {object} record the record
+   * @param {string} name the relationship name
+   * @param {string} link `related` for the related records or `self` for the linkage
+   * @param {object} queryParams query params to add
+   * @returns {string} the url
+   */
+  relationshipUrl (record, name, link, queryParams = {}) {
+    const href = record.relationships[name]?.links?.[link]
+    let url = typeof href === 'object' ? href?.href : href
+
+    if (!url) {
+      const path = link === 'self' ? `relationships/${name}` : name
+      url = `${this.fetchUrl(record.type, undefined, record.id)}/${path}`
+    }
+
+    if (Object.keys(queryParams).length === 0) return url
+    return `${url}${url.includes('?') ? '&' : '?'}${QueryString.stringify(queryParams)}`
+  }
+
+  /**
+   * Fetches the records of a relationship through its `related` link, see `Model#fetchRelated`.
+   * Top-level `meta` and `links`, for example to paginate a large to-many relationship, are
+   * added to the returned array, and each page is added to the linkage of the relationship.
+   *
+   * @async
+   * @param {object} record the record
+   * @param {string} name the relationship name
+   * @param {object} options { queryParams, queryTag, signal }
+   * @returns {Promise} the related records, or the related record of a to-one relationship
+   */
+  async fetchRelated (record, name, options = {}) {
+    const { queryParams } = options
+    const url = this.relationshipUrl(record, name, 'related', queryParams)
+
+    const state = this.setLoadingState({ ...options, type: record.type, url })
+
+    const response = await this.fetchTracked(url, state, options.signal, 'fetchRelated')
+
+    if (response.status === 200) {
+      const { data, included, meta, links } = await response.json()
+      const isToMany = Array.isArray(data)
+
+      let related
+      runInAction(() => {
+        if (included) {
+          this.createOrUpdateModelsFromData(included, { fields: queryParams?.fields })
+        }
+
+        const records = this.createOrUpdateModelsFromData([].concat(data || []), { fields: queryParams?.fields }).filter(Boolean)
+        this.markIncludesLoaded(records, queryParams?.include)
+
+        record._setPersistedRelationship(name, fetchedLinkage(record, name, data, queryParams, links))
+        record.markIncludeLoaded(name)
+
+        related = isToMany ? records : records[0] || null
+        this.deleteLoadingState(state)
+      })
+      if (isToMany && meta) related.meta = meta
+      if (isToMany && links) related.links = links
+      return related
+    } else {
+      const errors = await parseErrors(response, this.errorMessages)
+      this.failLoadingState(state, errors, response.status)
+      throw new Error(JSON.stringify(errors))
+    }
+  }
+
+  /**
+   * Fetches the linkage of a relationship through its `self` link, see `Model#fetchRelationship`
+   *
+   * @async
+   * @param {object} record the record
+   * @param {string} name the relationship name
+   * @param {object} options { queryParams, queryTag, signal }
+   * @returns {Promise} the relationship
+   */
+  async fetchRelationship (record, name, options = {}) {
+    const url = this.relationshipUrl(record, name, 'self', options.queryParams)
+
+    const state = this.setLoadingState({ ...options, type: record.type, url })
+
+    const response = await this.fetchTracked(url, state, options.signal, 'fetchRelationship')
+
+    if (response.status === 200) {
+      const { data, meta, links } = await response.json()
+
+      runInAction(() => {
+        record._setPersistedRelationship(name, fetchedLinkage(record, name, data, options.queryParams, links))
+        if (meta) record.relationships[name].meta = meta
+        if (links) record.relationships[name].links = { ...record.relationships[name].links, ...links }
+        this.deleteLoadingState(state)
+      })
+      return record[name]
+    } else {
+      const errors = await parseErrors(response, this.errorMessages)
+      this.failLoadingState(state, errors, response.status)
+      throw new Error(JSON.stringify(errors))
+    }
+  }
+
+  /**
+   * Finds all records of the given `type`.
+   * If any records from the given type from url are in the store, it returns those.
    * Otherwise, it fetches all records from the server.
    *
    *   store.findAll('todos')
@@ -652,18 +1489,97 @@ class Store {
    *     }
    *   })
    *
+   * Cached queries can expire by passing `maxAge` (in milliseconds), either per call, on the model
+   * class as `static cacheOptions` or on the store as `cacheOptions`. An expired query is fetched
+   * again, unless `staleWhileRevalidate` is set, in which case the cached records are returned
+   * right away while `fetchAll` refreshes them in the background.
+   *
+   *   store.findAll('todos', { maxAge: 60000, staleWhileRevalidate: true })
+   *
+   * While a persisted store is being restored, it waits for the restore first. The records are
+   * fetched again if any of them was loaded with a sparse fieldset that lacks the fields the call needs.
+   *
    * @param {string} type the type to find
-   * @param {object} options { queryParams }
+   * @param {object} options { queryParams, maxAge, staleWhileRevalidate }
    * @returns {Promise} Promise.resolve(records) or Promise.reject([Error: [{ detail, status }])
    */
-  findAll (type, options) {
-    const records = this.getAll(type, options)
+  findAll (type, options = {}) {
+    if (this.persistentCache.isRestoring) {
+      return this.persistentCache.restore().then(() => this.findAll(type, options))
+    }
 
-    if (records?.length > 0) {
-      return Promise.resolve(records)
-    } else {
+    const includes = splitList(options.queryParams?.include)
+    const url = includes.length > 0
+      ? this.cachedUrlIgnoringInclude(type, options.queryParams)
+      : this.fetchUrl(type, options.queryParams)
+    const records = includes.length > 0 ? this.getCachedRecordsForUrl(type, url) : this.getAll(type, options)
+
+    if (!(records?.length > 0) || records.some((record) => !this.hasFieldsFor(record, options.queryParams))) {
       return this.fetchAll(type, options)
     }
+
+    const missingIncludes = includes.filter((path) => records.some((record) => !record.isIncludeLoaded(path)))
+    if (missingIncludes.length > 0) {
+      return this.fetchAll(type, { ...options, queryParams: { ...options.queryParams, include: missingIncludes.join(',') } })
+    }
+
+    if (this.isCacheStale(type, url, options)) {
+      if (this.cacheOptionsFor(type, options).staleWhileRevalidate) {
+        this.revalidate(this.fetchAll(type, options))
+      } else {
+        return this.fetchAll(type, options)
+      }
+    }
+
+    return Promise.resolve(records)
+  }
+
+  /**
+   * Returns an observable query for all records of the given `type`, with the state of its
+   * request in `isLoading`, `isFetching`, `error` and `lastFetchedAt`. The records are loaded
+   * with `findAll` right away, and can be fetched again with `refetch`. When `queryParams` is a
+   * function, the query runs again whenever the observables it reads change.
+   *
+   *   const query = store.query('todos', { queryParams: () => ({ filter: { title: search.text } }) })
+   *   query.records
+   *   query.error
+   *   query.dispose()
+   *
+   * @param {string} type the type to query
+   * @param {object} options { queryParams, queryTag } and any other `findAll` options
+   * @returns {Query} the query
+   */
+  query (type, options = {}) {
+    return new Query(this, type, options)
+  }
+
+  /**
+   * Returns a paginated query for the given `type`. Pages are fetched with `fetchNextPage`
+   * and `fetchPreviousPage`, following the `links` in the response or, if there are none,
+   * building `page` query params with one of the `pageNumber`, `offset` or `cursor` strategies.
+   * The records of every loaded page are cached together, so calling `paginate` again with the
+   * same params returns the same query.
+   *
+   *   const query = store.paginate('todos', { strategy: 'offset', pageSize: 50 })
+   *   await query.fetchNextPage()
+   *   // GET /todos?page[offset]=0&page[limit]=50
+   *   await query.fetchNextPage()
+   *   // GET /todos?page[offset]=50&page[limit]=50
+   *   query.records
+   *   => [todo1, ..., todo100]
+   *
+   * @param {string} type the type to paginate
+   * @param {object} options { queryParams, queryTag, strategy, pageSize }
+   * @returns {PaginatedQuery} the paginated query
+   */
+  paginate (type, options = {}) {
+    const cacheKey = PaginatedQuery.cacheKey(this, type, options.queryParams, options)
+
+    if (!this.paginatedQueries.has(cacheKey)) {
+      this.paginatedQueries.set(cacheKey, new PaginatedQuery(this, type, options))
+    }
+
+    return this.paginatedQueries.get(cacheKey)
   }
 
   /**
@@ -682,8 +1598,106 @@ class Store {
       this.data[type] = {
         records: observable.map(),
         cache: observable.map(),
-        meta: observable.map()
+        meta: observable.map(),
+        links: observable.map(),
+        fetchedAt: observable.map(),
+        invalidated: observable.set()
+      }
+
+      this.indexes[type]?.dispose()
+      const { indexes = [] } = this.getKlass(type) || {}
+      this.indexes[type] = indexes.length > 0 ? new RecordIndex(this.data[type].records, indexes) : undefined
+
+      this.referenceIndexes[type]?.dispose()
+      const referencedNames = this._inverseRelationshipNames(type)
+      this.referenceIndexes[type] = referencedNames.length > 0 ? new RecordIndex(this.data[type].records, referencedNames, { reverse: true }) : undefined
+    })
+
+    this.paginatedQueries.forEach((query, cacheKey) => {
+      if (types.includes(query.type)) this.paginatedQueries.delete(cacheKey)
+    })
+  }
+
+  /**
+   * Builds a serializable document of the store's state, to render on the server and pick up
+   * in the browser with `hydrate`. For every type it has the records as they were last persisted,
+   * and the query `cache`, `meta`, `links` and `fetchedAt` by url. It also has the `loadedStates`.
+   * New records are left out.
+   *
+   *   const doc = JSON.stringify(store.dehydrate())
+   *
+   * @returns {object} { data, loadedStates }
+   */
+  dehydrate () {
+    const data = this.models.reduce((types, { type }) => {
+      const { cache, meta, links, fetchedAt } = this.data[type]
+
+      const records = this.getAll(type).filter(({ isNew }) => !isNew).map((record) => {
+        const { attributes, relationships } = record.persistedOrFirstSnapshot
+        const { loadedFields, loadedIncludes } = record
+        return {
+          id: record.id,
+          type,
+          attributes,
+          relationships,
+          ...(loadedFields && { loadedFields: Array.from(loadedFields) }),
+          ...(loadedIncludes.size > 0 && { loadedIncludes: Array.from(loadedIncludes) })
+        }
+      })
+
+      types[type] = {
+        records,
+        cache: Object.fromEntries(toJS(cache)),
+        meta: Object.fromEntries(toJS(meta)),
+        links: Object.fromEntries(toJS(links)),
+        fetchedAt: Object.fromEntries(toJS(fetchedAt))
       }
+      return types
+    }, {})
+
+    const loadedStates = Object.fromEntries(
+      Array.from(this.loadedStates).map(([queryTag, states]) => [queryTag, Array.from(states)])
+    )
+
+    return toJS({ data, loadedStates })
+  }
+
+  /**
+   * Loads a document from `dehydrate` into the store. The records are built with
+   * `createOrUpdateModelsFromData`, so they start out persisted, and `findAll` and `findOne`
+   * are answered from the cached queries without going to the server. Types the store
+   * doesn't have a model for are skipped.
+   *
+   *   store.hydrate(JSON.parse(window.__STORE__))
+   *
+   * @param {object} doc a document from `dehydrate`
+   */
+  hydrate (doc) {
+    const { data = {}, loadedStates = {} } = doc
+
+    Object.entries(data).forEach(([type, typeData]) => {
+      if (!this.data[type]) return
+
+      const { records = [], cache = {}, meta = {}, links = {}, fetchedAt = {} } = typeData
+      this.createOrUpdateModelsFromData(records)
+      records.forEach(({ id, loadedFields, loadedIncludes }) => {
+        const record = this.getRecord(type, id)
+        if (loadedFields) record.loadedFields = new Set(loadedFields)
+        if (loadedIncludes) record.loadedIncludes = new Set(loadedIncludes)
+      })
+
+      Object.entries({ cache, meta, links, fetchedAt }).forEach(([key, entries]) => {
+        Object.entries(entries).forEach(([url, value]) => {
+          this.data[type][key].set(url, value)
+        })
+      })
+    })
+
+    Object.entries(loadedStates).forEach(([queryTag, states]) => {
+      if (!this.loadedStates.get(queryTag)) {
+        this.loadedStates.set(queryTag, new Set())
+      }
+      states.forEach((state) => this.loadedStates.get(queryTag).add(state))
     })
   }
 
@@ -697,6 +1711,22 @@ class Store {
     this.initializeModelIndex(options.models)
     this.reset()
     this.initializeErrorMessages(options)
+    this.initializeCacheConfiguration(options)
+    this.initializeOfflineConfiguration(options)
+    this.initializePersistence(options)
+  }
+
+  /**
+   * Tears the store down once it is no longer used, so that it stops listening to the
+   * connectivity of the browser and to changes of its records, and stops writing to storage
+   *
+   *   store.dispose()
+   */
+  dispose () {
+    this.mutationQueue.dispose()
+    this.persistentCache.dispose()
+    Object.values(this.indexes).forEach((index) => index?.dispose())
+    Object.values(this.referenceIndexes).forEach((index) => index?.dispose())
   }
 
   /**
@@ -706,13 +1736,79 @@ class Store {
    * @param {string} options.baseUrl the API's root url
    * @param {object} options.defaultFetchOptions options that will be used when fetching
    * @param {Array} options.headersOfInterest an array of headers to watch
-   * @param {object} options.retryOptions options for re-fetch attempts and interval
+   * @param {object} options.retryOptions the retry policy, see `defaultRetryOptions`. `mutations` holds overrides for `Model#save` and bulk saves
+   * @param {object} options.deduplicationOptions `enabled` and `key` options for combining identical requests
+   * @param {Array} options.middleware functions to run around every request, after the default middleware
+   * @param {object} options.authOptions `refreshToken` and `statuses` to refresh expired credentials and replay requests
    */
-  initializeNetworkConfiguration ({ baseUrl = '', defaultFetchOptions = {}, headersOfInterest = [], retryOptions = { attempts: 1, delay: 0 } }) {
+  initializeNetworkConfiguration ({ baseUrl = '', defaultFetchOptions = {}, headersOfInterest = [], retryOptions = {}, deduplicationOptions = {}, middleware = [], authOptions }) {
     this.baseUrl = baseUrl
     this.defaultFetchOptions = defaultFetchOptions
     this.headersOfInterest = headersOfInterest
-    this.retryOptions = retryOptions
+    this.retryOptions = { ...defaultRetryOptions, mutations: {}, ...retryOptions }
+    this.requestRegistry = new RequestRegistry(deduplicationOptions)
+    this.middleware = [...defaultMiddleware, ...middleware]
+
+    // Runs first so that replayed requests go through the rest of the chain again
+    if (authOptions) this.middleware.unshift(authentication(authOptions))
+  }
+
+  /**
+   * Calls `handler` every time the store emits `event`
+   *
+   *   const stop = store.on('authenticationFailed', ({ error }) => logOut())
+   *
+   * @param {string} event the event name
+   * @param {Function} handler called with the payload of the event
+   * @returns {Function} stops calling the handler
+   */
+  on (event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set())
+    this.listeners.get(event).add(handler)
+
+    return () => this.listeners.get(event).delete(handler)
+  }
+
+  /**
+   * Calls the handlers of an event
+   *
+   * @param {string} event the event name
+   * @param {object} payload passed to every handler
+   */
+  emit (event, payload) {
+    this.listeners.get(event)?.forEach((handler) => handler(payload))
+  }
+
+  /**
+   * Adds a middleware to the end of the chain. See `middleware.ts`.
+   *
+   * @param {Function} middleware a function of `(request, next)`
+   */
+  use (middleware) {
+    this.middleware.push(middleware)
+  }
+
+  /**
+   * Sets up the queue for mutations made while offline, and replays the mutations
+   * persisted by a previous session
+   *
+   * @param {object} options for initializing the store
+   * @param {object} options.offlineOptions `enabled`, `storage` and `storageKey` for the `MutationQueue`
+   */
+  initializeOfflineConfiguration ({ offlineOptions = {} } = {}) {
+    this.mutationQueue = new MutationQueue(this, offlineOptions)
+    this.mutationQueue.restore()
+  }
+
+  /**
+   * Sets up the persistent cache, and starts reading the state persisted by a previous session
+   *
+   * @param {object} options for initializing the store
+   * @param {object} options.persistenceOptions `enabled`, `storage`, `storageKey`, `migrations` and `delay` for the `PersistentCache`
+   */
+  initializePersistence ({ persistenceOptions = {} } = {}) {
+    this.persistentCache = new PersistentCache(this, persistenceOptions)
+    this.persistentCache.restore()
   }
 
   /**
@@ -740,30 +1836,249 @@ class Store {
   }
 
   /**
-   * Wrapper around fetch applies user defined fetch options
+   * Configures how long cached queries are considered fresh. Models can override these
+   * defaults with a static `cacheOptions` property.
    *
-   * @param {string} url the url to fetch
-   * @param {object} options override options to use for fetching
-   * @returns {Promise} the data from the server
+   * @param {object} options for initializing the store
+   * @param {object} options.cacheOptions the default `maxAge` (in milliseconds) and `staleWhileRevalidate`
    */
-  async fetch (url, options = {}) {
-    const { defaultFetchOptions, headersOfInterest, retryOptions } = this
-    const fetchOptions = { ...defaultFetchOptions, ...options }
-    const { attempts, delay } = retryOptions
+  initializeCacheConfiguration ({ cacheOptions = {} } = {}) {
+    this.cacheOptions = {
+      maxAge: Infinity,
+      staleWhileRevalidate: false,
+      maxRecords: Infinity,
+      ...cacheOptions
+    }
+  }
 
-    const response = await fetchWithRetry(url, fetchOptions, attempts, delay)
+  /**
+   * Merges the cache options from the store, the model class and the call, in that order
+   * of precedence.
+   *
+   * @param {string} type the model type
+   * @param {object} options the options passed to a `find` call
+   * @returns {object} { maxAge, staleWhileRevalidate, maxRecords }
+   */
+  cacheOptionsFor (type, options = {}) {
+    const { maxAge, staleWhileRevalidate } = options
+    const callOptions = pickBy({ maxAge, staleWhileRevalidate }, (value) => value !== undefined)
+
+    return {
+      ...this.cacheOptions,
+      ...this.getKlass(type).cacheOptions,
+      ...callOptions
+    }
+  }
 
-    if (headersOfInterest) {
-      runInAction(() => {
-        headersOfInterest.forEach(header => {
-          const value = response.headers.get(header)
-          // Only set if it has changed, to minimize observable changes
-          if (this.lastResponseHeaders[header] !== value) this.lastResponseHeaders[header] = value
-        })
+  /**
+   * Returns the fields of a type in a sparse fieldset, or `null` if it has all of them
+   *
+   *   store.sparseFieldsFor('todos', { todos: 'title,due_at' })
+   *   => ['title', 'due_at']
+   *
+   * @param {string} type the model type
+   * @param {object} fields the `fields` query param
+   * @returns {Array} the field names
+   */
+  sparseFieldsFor (type, fields) {
+    const typeFields = fields?.[type]
+    if (typeFields == null) return null
+
+    return splitList(typeFields)
+  }
+
+  /**
+   * Checks whether a record has the fields a `find` call needs: the fields of its type in the
+   * `fields` query param, or every attribute if there are none
+   *
+   * @param {object} record the record
+   * @param {object} queryParams the query params of the call
+   * @returns {boolean} true if the fields are loaded
+   */
+  hasFieldsFor (record, queryParams) {
+    const { type, attributeNames } = record
+    const fields = this.sparseFieldsFor(type, queryParams?.fields) || attributeNames
+
+    return fields.every((field) => record.isFieldLoaded(field))
+  }
+
+  /**
+   * Records that the paths of an `include` param were loaded for records and their related records
+   *
+   * @param {Array} records the records of the request
+   * @param {string} include the `include` query param
+   */
+  markIncludesLoaded (records, include) {
+    splitList(include).forEach((path) => {
+      records.forEach((record) => record?.markIncludeLoaded(path))
+    })
+  }
+
+  /**
+   * Returns the url of a cached query with the same params apart from `include`, preferring
+   * the exact url. Records loaded by any of them can answer a request with includes, as long
+   * as the included paths are loaded.
+   *
+   * @param {string} type the model type
+   * @param {object} queryParams the query params of the request
+   * @returns {string} the url of the cached query, or the exact url if none is cached
+   */
+  cachedUrlIgnoringInclude (type, queryParams) {
+    const url = this.fetchUrl(type, queryParams)
+    const { cache } = this.data[type]
+    if (cache.has(url)) return url
+
+    const baseUrl = this.fetchUrl(type, withoutInclude(queryParams))
+
+    const cachedUrl = Array.from(cache.keys()).find((cachedUrl) => {
+      const [path, query = ''] = cachedUrl.split('?')
+      const params = withoutInclude(QueryString.parse(query))
+      const rebuilt = Object.keys(params).length > 0 ? `${path}?${QueryString.stringify(params)}` : path
+      return rebuilt === baseUrl
+    })
+
+    return cachedUrl || url
+  }
+
+  /**
+   * Checks whether a cached query is older than its `maxAge` or was marked stale by `invalidate`.
+   * Queries that were never fetched have no timestamp and are not considered stale.
+   *
+   * @param {string} type the model type
+   * @param {string} url the url that was requested
+   * @param {object} options the options passed to a `find` call
+   * @returns {boolean} true if the cached query has expired
+   */
+  isCacheStale (type, url, options = {}) {
+    if (this.data[type].invalidated.has(url)) return true
+
+    const fetchedAt = this.data[type].fetchedAt.get(url)
+    if (fetchedAt == null) return false
+
+    const { maxAge } = this.cacheOptionsFor(type, options)
+    return Date.now() - fetchedAt > maxAge
+  }
+
+  /**
+   * Marks cached queries as stale, so `findAll` and `findOne` fetch them again, and refetches
+   * the queries from `query` that are being observed. The target is a model type, a query tag,
+   * or a predicate that is given `{ type, url, queryParams, queryTags }` for every cached query.
+   *
+   *   store.invalidate('todos')
+   *   store.invalidate('overdueTodos')
+   *   store.invalidate(({ type, queryParams }) => type === 'todos' && queryParams.filter?.done)
+   *
+   * @param {string|Function} target the type, query tag or predicate
+   * @returns {Promise} resolves once the observed queries have been refetched
+   */
+  invalidate (target) {
+    const tagsByQuery = new Map()
+    this.loadedStates.forEach((states, queryTag) => {
+      states.forEach((state) => {
+        const { type, url } = JSON.parse(state)
+        const key = JSON.stringify([type, url])
+        tagsByQuery.set(key, [...(tagsByQuery.get(key) || []), queryTag])
       })
+    })
+
+    let matches = target
+    if (typeof target === 'string') {
+      matches = this.data[target]
+        ? ({ type }) => type === target
+        : ({ queryTags }) => queryTags.includes(target)
     }
 
-    return response
+    const invalidated = []
+    Object.entries(this.data).forEach(([type, { cache }]) => {
+      cache.forEach((_ids, url) => {
+        const queryTags = tagsByQuery.get(JSON.stringify([type, url])) || []
+        const queryParams = QueryString.parse(url.split('?')[1] || '')
+
+        if (matches({ type, url, queryParams, queryTags })) {
+          this.data[type].invalidated.add(url)
+          invalidated.push(JSON.stringify([type, url]))
+        }
+      })
+    })
+
+    const refetches = Array.from(this.observedQueries)
+      .filter(({ type, url }) => invalidated.includes(JSON.stringify([type, url])))
+      .map((query) => query.refetch())
+
+    return Promise.all(refetches)
+  }
+
+  /**
+   * Applies the invalidation rules of a record's model after a mutation. The rules are in
+   * `static invalidates` by operation: 'create', 'update' or 'destroy'. A rule is anything
+   * `invalidate` takes, or `{ type, id, include }` to invalidate the queries of a type,
+   * optionally only for one id, whose `include` param has a relationship. `id` can be a
+   * function of the record.
+   *
+   *   static invalidates = {
+   *     create: ['todos', { type: 'projects', id: (todo) => todo.project?.id, include: 'todos' }]
+   *   }
+   *
+   * @param {object} record the record that was mutated
+   * @param {string} operation 'create', 'update' or 'destroy'
+   * @returns {Promise} resolves once the observed queries have been refetched
+   */
+  invalidateFor (record, operation) {
+    const rules = record.constructor.invalidates?.[operation] || []
+
+    return Promise.all(rules.map((rule) => {
+      if (typeof rule !== 'object') return this.invalidate(rule)
+
+      const { type, include } = rule
+      const id = typeof rule.id === 'function' ? rule.id(record) : rule.id
+      if ('id' in rule && id == null) return undefined
+
+      const path = id == null ? null : this.fetchUrl(type, undefined, id)
+
+      return this.invalidate(({ type: queryType, url, queryParams }) => {
+        return queryType === type &&
+          (path == null || url.split('?')[0] === path) &&
+          (include == null || String(queryParams.include || '').split(',').includes(include))
+      })
+    }))
+  }
+
+  /**
+   * Lets a background refresh run without surfacing its rejection to the caller,
+   * who has already been given the cached records.
+   *
+   * @param {Promise} promise the background fetch
+   * @returns {Promise} a promise that always resolves
+   */
+  revalidate (promise) {
+    return promise.catch((error) => {
+      console.warn(`Background refresh failed: ${error.message}`)
+    })
+  }
+
+  /**
+   * Wrapper around fetch that runs the request through the middleware chain
+   *
+   * @param {string} url the url to fetch
+   * @param {object} options override options to use for fetching, `retryOptions` to override the retry policy,
+   *   and the `type` and `operation` of the request for middleware
+   * @returns {Promise} the data from the server
+   */
+  async fetch (url, options = {}) {
+    const { retryOptions, type, operation, ...fetchOptions } = options
+
+    const request = {
+      url,
+      options: fetchOptions,
+      retryOptions: { ...this.retryOptions, ...retryOptions },
+      type,
+      operation,
+      store: this
+    }
+
+    return runMiddleware(this.middleware, request, (finalRequest) => {
+      return fetchWithRetry(finalRequest.url, finalRequest.options, finalRequest.retryOptions, this.requestRegistry)
+    })
   }
 
   /**
@@ -780,7 +2095,10 @@ class Store {
 
     const record = this.data[type].records.get(String(id))
 
-    return (!record || record === 'undefined') ? undefined : record
+    if (!record || record === 'undefined') return undefined
+
+    this.touch(record)
+    return record
   }
 
   /**
@@ -815,11 +2133,205 @@ class Store {
    * @returns {Set} the cleared set
    */
   clearCache (type) {
+    this.data[type].fetchedAt.clear()
+    this.paginatedQueries.forEach((query, cacheKey) => {
+      if (query.type === type) this.paginatedQueries.delete(cacheKey)
+    })
     return this.data[type].cache.clear()
   }
 
   /**
-   * Gets single from store based on cached query
+   * Keeps records from being collected by `gc` or evicted by `maxRecords`, for example while
+   * a component shows them. Takes a record, an array of records, or a query, whose records are
+   * retained as they change. Returns a function that releases them again.
+   *
+   *   const release = store.retain(todo)
+   *   store.gc()
+   *   release()
+   *
+   * @param {object|Array} target the records or query to retain
+   * @returns {Function} releases the target
+   */
+  retain (target) {
+    const targets = Array.isArray(target) ? [...target] : [target]
+    targets.forEach((item) => this.retained.set(item, (this.retained.get(item) || 0) + 1))
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      targets.forEach((item) => {
+        const count = this.retained.get(item) - 1
+        if (count > 0) {
+          this.retained.set(item, count)
+        } else {
+          this.retained.delete(item)
+        }
+      })
+    }
+  }
+
+  /**
+   * Removes the records that nothing refers to anymore. A record is kept if it is in a cached
+   * query, retained, new, dirty, in flight or has a queued mutation, or if it can be reached
+   * through the relationships of a record that is kept.
+   *
+   *   store.gc()
+   *   => 120
+   *
+   * @returns {number} the number of records removed
+   */
+  gc () {
+    const reachable = new Set()
+
+    /**
+     * Marks a record and everything related to it as reachable
+     *
+     * @param {object} record the record
+     */
+    const visit = (record) => {
+      if (!record || reachable.has(record)) return
+      reachable.add(record)
+
+      Object.values(record.relationships || {}).forEach(({ data } = {}) => {
+        [].concat(data || []).forEach(({ id, type }) => {
+          visit(this.data[type]?.records.get(String(id)))
+        })
+      })
+    }
+
+    this._retainedRecords().forEach(visit)
+
+    const queued = this._queuedKeys()
+    Object.entries(this.data).forEach(([type, { records, cache }]) => {
+      cache.forEach((ids) => ids.forEach((id) => visit(records.get(String(id)))))
+      records.forEach((record) => {
+        if (this._isPinned(type, record, queued)) visit(record)
+      })
+    })
+
+    const removed = new Set()
+    Object.entries(this.data).forEach(([type, { records }]) => {
+      const keys = []
+      records.forEach((record, key) => {
+        if (!reachable.has(record)) {
+          keys.push(key)
+          removed.add(record)
+        }
+      })
+      this._deleteRecords(type, keys)
+    })
+
+    return removed.size
+  }
+
+  /**
+   * Evicts the least recently used records of a type until it has no more than its `maxRecords`.
+   * Cached queries of evicted records are removed, since they are no longer complete. Records
+   * that are retained or pinned by `gc` are never evicted, and neither are the records that
+   * are being loaded, even if there are more of them than `maxRecords`.
+   *
+   * @param {string} type the model type
+   * @param {Array} loading the records being added or loaded, which are kept
+   */
+  enforceRecordLimit (type, loading = []) {
+    const { maxRecords } = this.cacheOptionsFor(type)
+    const { records, cache, meta, links, fetchedAt } = this.data[type]
+
+    // a record can be in the map under its tmp id and its id, so the map can only be larger
+    if (maxRecords === Infinity || records.size <= maxRecords) return
+
+    const all = new Set(records.values())
+    if (all.size <= maxRecords) return
+
+    const kept = new Set([...this._retainedRecords(), ...loading])
+    const queued = this._queuedKeys()
+    const evicted = new Set(Array.from(all)
+      .filter((record) => !kept.has(record) && !this._isPinned(type, record, queued))
+      .sort((a, b) => (this.lastAccessed.get(a) || 0) - (this.lastAccessed.get(b) || 0))
+      .slice(0, all.size - maxRecords))
+    const evictedIds = new Set(Array.from(evicted, ({ id }) => String(id)))
+
+    cache.forEach((ids, url) => {
+      if (ids.some((id) => evictedIds.has(String(id)))) {
+        [cache, meta, links, fetchedAt].forEach((map) => map.delete(url))
+      }
+    })
+
+    const keys = []
+    records.forEach((record, key) => {
+      if (evicted.has(record)) keys.push(key)
+    })
+    this._deleteRecords(type, keys)
+  }
+
+  /**
+   * Records that a record was used, for `maxRecords`
+   *
+   * @param {object} record the record
+   */
+  touch (record) {
+    this.lastAccessed.set(record, ++this.accessCount)
+  }
+
+  /**
+   * Deletes records of a type from the store by the ids they are kept under, and forgets when
+   * they were last used. Paginated queries whose cached ids were removed are dropped too.
+   *
+   * @param {string} type the model type
+   * @param {Array} keys the ids to delete
+   * @private
+   */
+  _deleteRecords (type, keys) {
+    const { records, cache } = this.data[type]
+
+    keys.forEach((key) => {
+      this.lastAccessed.delete(records.get(key))
+      records.delete(key)
+    })
+
+    this.paginatedQueries.forEach((query, cacheKey) => {
+      if (query.type === type && query.pages.length > 0 && !cache.has(cacheKey)) this.paginatedQueries.delete(cacheKey)
+    })
+  }
+
+  /**
+   * Returns the records that are retained directly or through a retained query
+   *
+   * @returns {Array} the records
+   * @private
+   */
+  _retainedRecords () {
+    return Array.from(this.retained.keys()).flatMap((item) => 'records' in item ? Array.from(item.records) : [item])
+  }
+
+  /**
+   * Returns the keys of the records with a queued mutation, see `referenceKey`
+   *
+   * @returns {Set} the keys
+   * @private
+   */
+  _queuedKeys () {
+    return new Set(this.mutationQueue.mutations.map(({ type, id }) => referenceKey(type, id)))
+  }
+
+  /**
+   * Returns true if a record has changes that would be lost by removing it
+   *
+   * @param {string} type the model type
+   * @param {object} record the record
+   * @param {Set} queued the keys of the records with a queued mutation, from `_queuedKeys`
+   * @returns {boolean} true if the record must be kept
+   * @private
+   */
+  _isPinned (type, record, queued) {
+    return record.isNew || record.isDirty || record.isInFlight || record.isPendingDestroy ||
+      queued.has(referenceKey(type, String(record.id)))
+  }
+
+  /**
+   * Gets single from store based on cached query. The `meta` and `links` cached for the url
+   * are set on the record as `documentMeta` and `documentLinks`.
    *
    * @param {string} type the model type
    * @param {string} id the model id
@@ -828,8 +2340,13 @@ class Store {
    */
   getCachedRecord (type, id, queryParams) {
     const cachedRecords = this.getCachedRecords(type, queryParams, id)
+    const record = cachedRecords && cachedRecords[0]
+
+    if (record) {
+      record._setDocument({ meta: cachedRecords.meta, links: cachedRecords.links, jsonapi: record.documentJsonapi })
+    }
 
-    return cachedRecords && cachedRecords[0]
+    return record
   }
 
   /**
@@ -841,13 +2358,25 @@ class Store {
    * @returns {Array} array of records
    */
   getCachedRecords (type, queryParams, id) {
-    const url = this.fetchUrl(type, queryParams, id)
+    return this.getCachedRecordsForUrl(type, this.fetchUrl(type, queryParams, id))
+  }
+
+  /**
+   * Gets the records of a cached query by its url
+   *
+   * @param {string} type type of records to get
+   * @param {string} url the url of the query
+   * @returns {Array} array of records
+   */
+  getCachedRecordsForUrl (type, url) {
     const ids = this.getCachedIds(type, url)
     const meta = this.data[type].meta.get(url)
+    const links = this.data[type].links.get(url)
 
-    const cachedRecords = this.getRecordsById(type, ids)
+    const cachedRecords = this.getRecordsById(type, ids).filter((record) => !record.isPendingDestroy)
 
     if (meta) cachedRecords.meta = meta
+    if (links) cachedRecords.links = links
 
     return cachedRecords
   }
@@ -888,15 +2417,19 @@ class Store {
   }
 
   /**
-   * Creates or updates a model
+   * Creates or updates a model. When the data was fetched with a sparse fieldset for its
+   * type, the record keeps track of the fields that were loaded in `loadedFields`. Otherwise
+   * the record is considered complete.
    *
    * @param {object} data the object will be used to update or create a model
+   * @param {object} options { fields } with the `fields` query param of the request
    * @returns {object} the record
    */
-  createOrUpdateModelFromData (data) {
-    const { id, type } = data
+  createOrUpdateModelFromData (data, options = {}) {
+    const { id, type, attributes = {}, relationships = {} } = data
 
     let record = this.getRecord(type, id)
+    const isNewRecord = !record
 
     if (record) {
       this.updateRecordFromData(record, data)
@@ -904,7 +2437,20 @@ class Store {
       record = this.createModelFromData(data)
     }
 
+    const sparseFields = this.sparseFieldsFor(type, options.fields)
+    if (!sparseFields) {
+      record.loadedFields = null
+    } else if (isNewRecord || record.loadedFields) {
+      record.loadedFields = new Set([
+        ...(record.loadedFields || []),
+        ...sparseFields,
+        ...Object.keys(attributes),
+        ...Object.keys(relationships)
+      ])
+    }
+
     this.data[type].records.set(String(record.id), record)
+    this.touch(record)
     return record
   }
 
@@ -924,6 +2470,8 @@ class Store {
       // records that are created as inverses are not initialized
       if (!record.initialized) {
         record.initialize(data)
+        this.indexes[type]?.refresh(record)
+        this.referenceIndexes[type]?.refresh(record)
       }
 
       Object.entries(attributes).forEach(([key, value]) => {
@@ -936,7 +2484,10 @@ class Store {
         }
       })
 
-      record.relationships = { ...record.relationships, ...relationships }
+      // a relationship object with only links keeps the linkage that was loaded before
+      Object.entries(relationships).forEach(([relationshipName, relationship]) => {
+        record.relationships[relationshipName] = { ...record.relationships[relationshipName], ...relationship }
+      })
     })
 
     record.isInFlight = false
@@ -953,17 +2504,22 @@ class Store {
    * with defined models, and ignore everything else in the data.
    *
    * @param {Array} data the array of jsonapi data
+   * @param {object} options { fields } with the `fields` query param of the request
    * @returns {Array} an array of the models serialized
    */
-  createOrUpdateModelsFromData (data) {
-    return data.map((dataObject) => {
+  createOrUpdateModelsFromData (data, options = {}) {
+    const records = data.map((dataObject) => {
       if (this.data[dataObject.type]) {
-        return this.createOrUpdateModelFromData(dataObject)
+        return this.createOrUpdateModelFromData(dataObject, options)
       } else {
         console.warn(`no type defined for ${dataObject.type}`)
         return null
       }
     })
+
+    new Set(records.filter(Boolean).map(({ type }) => type)).forEach((type) => this.enforceRecordLimit(type, records))
+
+    return records
   }
 
   /**
@@ -988,7 +2544,9 @@ class Store {
 
   /**
    * Defines a resolution for an API call that will update a record or
-   * set of records with the data returned from the API
+   * set of records with the data returned from the API. Top-level `meta` and `links`
+   * are kept on the records as `documentMeta` and `documentLinks`, and added to the
+   * array when there are several records.
    *
    * @param {Promise} promise a response from the API
    * @param {object|Array} records to be updated
@@ -1021,12 +2579,20 @@ class Store {
             )
           }
 
-          recordsArray.forEach((record, i) => this.updateRecordFromData(record, data[i]))
+          recordsArray.forEach((record, i) => {
+            this.updateRecordFromData(record, data[i])
+            record._setDocument(json)
+          })
 
           if (included) {
             this.createOrUpdateModelsFromData(included)
           }
 
+          if (Array.isArray(records)) {
+            if (json.meta) records.meta = json.meta
+            if (json.links) records.links = json.links
+          }
+
           // on success, return the original record(s).
           // again - this may be a single record so preserve the structure
           return records
@@ -1052,7 +2618,10 @@ class Store {
         recordsArray.forEach((record) => {
           record.isInFlight = false
         })
-        recordsArray[0].errors = error
+        // a cancelled request is not an error on the record
+        if (!isAbortError(error)) {
+          recordsArray[0].errors = error
+        }
         throw error
       }
     )
@@ -0,0 +1,178 @@
+import isObject from 'lodash/isObject'
+import { splitList } from './utils'
+
+/**
+ * Flattens a nested filter object into paths
+ *
+ *   filterPaths({ project: { id: '1' }, done: false })
+ *   => [['project.id', '1'], ['done', false]]
+ *
+ * @param {object} filter the filter
+ * @param {string} prefix the path of the filter
+ * @returns {Array} pairs of path and value
+ */
+export function filterPaths (filter, prefix = '') {
+  return Object.entries(filter).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (isObject(value) && !Array.isArray(value)) return filterPaths(value, path)
+    return [[path, value]]
+  })
+}
+
+/**
+ * Returns the values at a path from a record, following relationships without creating
+ * placeholder records for related records that aren't in the store
+ *
+ * @param {object} record the record
+ * @param {Array} segments the segments of the path
+ * @returns {Array} the values, more than one if the path goes through a to-many relationship
+ */
+function valuesAt (record, segments) {
+  if (record == null) return []
+  if (segments.length === 0) return [record]
+
+  const [segment, ...rest] = segments
+
+  if (segment === 'id') return [record.id]
+
+  // a path that ends at a relationship compares the ids of the related records
+  const definition = record.relationshipDefinitions?.[segment]
+  if (definition) {
+    const linkage = record.relationships[segment]?.data
+    const relatedSegments = rest.length === 0 ? ['id'] : rest
+    if (linkage === undefined && definition.direction === 'toMany' && definition.inverse) {
+      return Array.from(record[segment]).flatMap((related) => valuesAt(related, relatedSegments))
+    }
+
+    return [].concat(linkage || []).flatMap((identifier) => {
+      if (relatedSegments.length === 1 && ['id', 'type'].includes(relatedSegments[0])) return [String(identifier[relatedSegments[0]])]
+      return valuesAt(record.store.data[identifier.type]?.records.get(String(identifier.id)), relatedSegments)
+    })
+  }
+
+  const value = record[segment]
+  if (rest.length === 0) return [value]
+  if (!isObject(value)) return []
+
+  return valuesAt(value, rest)
+}
+
+/**
+ * Returns the first value at a path from a record, for sorting
+ *
+ * @param {object} record the record
+ * @param {string} path the path
+ * @returns {*} the value
+ */
+function valueAt (record, path) {
+  return valuesAt(record, path.split('.'))[0]
+}
+
+/**
+ * Returns true if a path of a filter compares ids: `ids`, a path that ends with `id`, or a path
+ * that ends at a relationship. On such a path a comma separated string is a list of ids.
+ *
+ * @param {object} record the record
+ * @param {Array} segments the segments of the path
+ * @returns {boolean} true if the path compares ids
+ */
+function isIdPath (record, segments) {
+  const last = segments[segments.length - 1]
+  if (last === 'id') return true
+
+  let target = record
+  segments.slice(0, -1).forEach((segment) => {
+    if (!target?.relationshipDefinitions?.[segment]) {
+      target = isObject(target) ? target[segment] : undefined
+      return
+    }
+    const [identifier] = [].concat(target.relationships[segment]?.data || [])
+    target = identifier
+      ? target.store.data[identifier.type]?.records.get(String(identifier.id))
+      : Array.from(target[segment] || [])[0]
+  })
+
+  return Boolean(target?.relationshipDefinitions?.[last])
+}
+
+/**
+ * Returns true if a record matches every path of a filter
+ *
+ * @param {object} record the record
+ * @param {object} filter the filter
+ * @returns {boolean} true if the record matches
+ */
+export function matchesFilter (record, filter = {}) {
+  return filterPaths(filter).every(([path, expected]) => {
+    const segments = path === 'ids' ? ['id'] : path.split('.')
+    const values = valuesAt(record, segments)
+
+    if (expected === null) return values.length === 0 || values.some((value) => value == null)
+
+    const list = Array.isArray(expected) || !isIdPath(record, segments) ? [].concat(expected) : splitList(String(expected))
+    const allowed = list.map(String)
+    return values.some((value) => value != null && allowed.includes(String(value)))
+  })
+}
+
+/**
+ * Compares two values for sorting, with empty values last in either direction
+ *
+ * @param {*} a the first value
+ * @param {*} b the second value
+ * @param {number} direction 1 for ascending, -1 for descending
+ * @returns {number} negative if `a` comes first
+ */
+function compareValues (a, b, direction) {
+  if (a == null || b == null) return (a == null) - (b == null)
+  if (a < b) return -direction
+  if (a > b) return direction
+  return 0
+}
+
+/**
+ * Sorts records by a JSON:API sort param, returning a new array
+ *
+ * @param {Array} records the records
+ * @param {string|Array} sort the sort param, such as '-due_at,title'
+ * @returns {Array} the sorted records
+ */
+export function sortRecords (records, sort) {
+  const fields = splitList(sort).map((field) => {
+    return field.startsWith('-') ? { path: field.slice(1), direction: -1 } : { path: field, direction: 1 }
+  })
+  if (fields.length === 0) return records.slice()
+
+  return records.slice().sort((a, b) => {
+    for (const { path, direction } of fields) {
+      const order = compareValues(valueAt(a, path), valueAt(b, path), direction)
+      if (order !== 0) return order
+    }
+    return 0
+  })
+}
+
+/**
+ * Evaluates JSON:API-style query params against records in memory, for `Store#where`.
+ *
+ * `filter` maps paths to the values they must have. Paths go through attributes, nested
+ * attribute objects and relationships, either as nested objects or with dots:
+ * `{ project: { id: '1' } }` and `{ 'project.id': '1' }` are the same filter, and a path that ends
+ * at a relationship, such as `{ project: '1' }`, compares the ids of the related records. An array
+ * of values matches any of them, and so does a comma separated string of ids on `ids` and paths
+ * that compare ids. A path through a to-many relationship matches if any related record matches.
+ * Values are compared as strings, so filters written for a url work the same way.
+ *
+ * `sort` is a comma separated list of paths, each descending if it starts with `-`.
+ *
+ *   evaluateQuery(todos, { filter: { 'project.id': '1', done: false }, sort: '-due_at,title', limit: 10 })
+ *
+ * @param {Array} records the records
+ * @param {object} params { filter, sort, limit }
+ * @returns {Array} the matching records
+ */
+export function evaluateQuery (records, params = {}) {
+  const { filter, sort, limit } = params
+  const matching = sortRecords(records.filter((record) => matchesFilter(record, filter)), sort)
+  return limit == null ? matching : matching.slice(0, limit)
+}
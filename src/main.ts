@@ -2,6 +2,13 @@ import Model from './Model'
 import Store from './Store'
 import FactoryFarm from './FactoryFarm'
 import MockServer from './MockServer'
+import PaginatedQuery from './PaginatedQuery'
+import Query from './Query'
+import RequestRegistry from './RequestRegistry'
+import MutationQueue from './MutationQueue'
+import PersistentCache, { schemaVersion } from './PersistentCache'
+import AtomicOperations from './AtomicOperations'
+import { FileSystemStorage, MemoryStorage, WebStorage } from './storage'
 import { serverResponse } from './testUtils'
 import { arrayType, objectType, dateType, stringType, numberType, QueryString } from './utils'
 
@@ -12,6 +19,16 @@ export {
   serverResponse,
   FactoryFarm,
   MockServer,
+  PaginatedQuery,
+  Query,
+  RequestRegistry,
+  MutationQueue,
+  PersistentCache,
+  schemaVersion,
+  AtomicOperations,
+  MemoryStorage,
+  WebStorage,
+  FileSystemStorage,
   dateType,
   stringType,
   numberType,
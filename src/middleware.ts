@@ -0,0 +1,146 @@
+import { runInAction } from 'mobx'
+
+/**
+ * Middleware runs around every request the store sends, in order, between `Store#fetch` and
+ * `fetchWithRetry`. Each middleware is a function of `(request, next)`, where the request is
+ * `{ url, options, retryOptions, type, operation, store }`:
+ * - `options` are the options that will be passed to `fetch`
+ * - `type` is the model type of the request, if there is one
+ * - `operation` is the store or model method that made it: 'fetchOne', 'fetchAll', 'fetchRelated',
+ *   'fetchRelationship', 'save', 'saveRelationship', 'destroy', 'bulkSave', 'bulkDestroy' or 'atomic'
+ *
+ * Calling `next` with a request, changed or not, runs the rest of the chain and resolves to the
+ * response. A middleware can change the response before returning it, or return its own
+ * response without calling `next` at all.
+ *
+ *   const tracing = (request, next) => {
+ *     const headers = { ...request.options.headers, 'X-Request-Id': uuid() }
+ *     return next({ ...request, options: { ...request.options, headers } })
+ *   }
+ *
+ *   const store = new AppStore({ middleware: [tracing] })
+ */
+
+/**
+ * Merges the store's `defaultFetchOptions` into the request options
+ *
+ * @param {object} request the request
+ * @param {Function} next the rest of the chain
+ * @returns {Promise} the response
+ */
+export function defaultFetchOptions (request, next) {
+  const { store, options } = request
+  return next({ ...request, options: { ...store.defaultFetchOptions, ...options } })
+}
+
+/**
+ * Copies the response headers listed in the store's `headersOfInterest` to `lastResponseHeaders`
+ *
+ * @param {object} request the request
+ * @param {Function} next the rest of the chain
+ * @returns {Promise} the response
+ */
+export async function headersOfInterest (request, next) {
+  const { store } = request
+  const response = await next(request)
+
+  if (store.headersOfInterest && response?.headers) {
+    runInAction(() => {
+      store.headersOfInterest.forEach(header => {
+        const value = response.headers.get(header)
+        // Only set if it has changed, to minimize observable changes
+        if (store.lastResponseHeaders[header] !== value) store.lastResponseHeaders[header] = value
+      })
+    })
+  }
+
+  return response
+}
+
+/**
+ * Builds a middleware that refreshes expired credentials and replays the request. When a response
+ * has one of the `statuses`, `refreshToken(store)` is called once, and every other request that
+ * fails while it runs waits for the same refresh. Once it resolves, the requests are sent again
+ * through the rest of the chain, so middleware and `defaultFetchOptions` can apply the new credentials.
+ * A request is only replayed once.
+ *
+ * If the refresh rejects, the store emits a single `authenticationFailed` event with the error,
+ * and the waiting requests resolve to their original responses.
+ *
+ * @param {object} options the auth options of the store
+ * @param {Function} options.refreshToken a function of the store that resolves once new credentials are in place
+ * @param {Array} options.statuses the statuses that mean the credentials have expired, defaults to [401]
+ * @returns {Function} the middleware
+ */
+export function authentication ({ refreshToken, statuses = [401] }) {
+  // Counts finished refreshes, so a request that was sent before the last refresh is
+  // replayed (or given up on) without starting another one
+  let epoch = 0
+  let lastRefreshSucceeded = true
+  let refreshing = null
+
+  /**
+   * Refreshes the credentials, sharing one refresh between every request that fails meanwhile
+   *
+   * @param {object} store the store
+   * @returns {Promise} resolves to true if the refresh succeeded
+   */
+  const refresh = (store) => {
+    if (!refreshing) {
+      refreshing = Promise.resolve()
+        .then(() => refreshToken(store))
+        .then(() => true, (error) => {
+          store.emit('authenticationFailed', { error })
+          return false
+        })
+        .then((succeeded) => {
+          epoch++
+          lastRefreshSucceeded = succeeded
+          refreshing = null
+          return succeeded
+        })
+    }
+    return refreshing
+  }
+
+  return async function authenticate (request, next) {
+    const sentIn = epoch
+    const response = await next(request)
+
+    if (!statuses.includes(response?.status)) return response
+
+    const refreshed = sentIn === epoch ? await refresh(request.store) : lastRefreshSucceeded
+    return refreshed ? next(request) : response
+  }
+}
+
+/**
+ * The middleware every store starts with
+ */
+export const defaultMiddleware = [defaultFetchOptions, headersOfInterest]
+
+/**
+ * Runs a request through a middleware chain, ending with `handler`
+ *
+ * @param {Array} middleware the middleware functions, in order
+ * @param {object} request the request
+ * @param {Function} handler sends the request once every middleware has called `next`
+ * @returns {Promise} the response
+ */
+export function runMiddleware (middleware, request, handler) {
+  /**
+   * Runs the middleware at `index`, or the handler after the last one
+   *
+   * @param {number} index the position in the chain
+   * @param {object} currentRequest the request as changed by the previous middleware
+   * @returns {Promise} the response
+   */
+  const dispatch = (index, currentRequest) => {
+    const fn = middleware[index]
+    if (!fn) return Promise.resolve(handler(currentRequest))
+
+    return Promise.resolve(fn(currentRequest, (nextRequest = currentRequest) => dispatch(index + 1, nextRequest)))
+  }
+
+  return dispatch(0, request)
+}
@@ -1,4 +1,5 @@
-import { action, transaction } from 'mobx'
+import { action, runInAction, toJS, transaction } from 'mobx'
+import cloneDeep from 'lodash/cloneDeep'
 import Model from './Model'
 
 /**
@@ -55,8 +56,8 @@ export const defineToOneRelationships = action((record, store, toOneDefinitions)
 
 /**
  * Takes the `toMany` definitions from a document type and creates getters and setters.
- * A getter finds records from the store, falling back to a lookup of the inverse records if
- * none are defined in the `relationships` hash.
+ * A getter finds records from the store, falling back to a lookup of the inverse records in the
+ * reverse index of the store if none are defined in the `relationships` hash.
  *
  * The setter will unset the previous inverse and set the current inverse.
  * Both return a `RelatedRecordsArray`, which is an array with added methods `add`, `remove`, and `replace`
@@ -87,11 +88,7 @@ export const defineToManyRelationships = action((record, store, toManyDefinition
         if (references) {
           relatedRecords = references.filter((reference) => store.getKlass(reference.type)).map((reference) => coerceDataToExistingRecord(store, reference))
         } else if (inverse) {
-          const types = relationshipTypes || [relationshipName]
-          relatedRecords = types.map((type) => record.store.getAll(type)).flat().filter((potentialRecord) => {
-            const reference = potentialRecord.relationships[inverse.name]?.data
-            return reference && (reference.type === record.type) && (String(reference.id) === record.id)
-          })
+          relatedRecords = store.getReferencingRecords(record, inverse.name, relationshipTypes || [relationshipName])
         }
 
         return new RelatedRecordsArray(record, relationshipName, relatedRecords)
@@ -109,10 +106,7 @@ export const defineToManyRelationships = action((record, store, toManyDefinition
           const inferredType = relatedRecords[0]?.type || previousReferences?.data[0]?.type
           const types = inverse.types || [inferredType]
 
-          const oldRelatedRecords = types.map((type) => record.store.getAll(type)).flat().filter((potentialRecord) => {
-            const reference = potentialRecord.relationships[inverseName]?.data
-            return reference && (reference.type === record.type) && (reference.id === record.id)
-          })
+          const oldRelatedRecords = store.getReferencingRecords(record, inverseName, types)
 
           oldRelatedRecords.forEach((oldRelatedRecord) => {
             oldRelatedRecord.relationships[inverseName] = null
@@ -284,38 +278,60 @@ export class RelatedRecordsArray extends Array {
   }
 
   /**
-   * Adds a record to the array, and updates references in the store, as well as inverse references
+   * Adds a record to the array, and updates references in the store, as well as inverse references.
+   * With `optimistic: true`, the relationship is saved straight away, see `_optimistically`. With
+   * `persist: true`, only the added records are sent, with `POST` to the relationship endpoint.
    *
    * @param {object} relatedRecord the record to add to the array
-   * @returns {object} a model record reflecting the original relatedRecord
+   * @param {object} options { optimistic, persist }
+   * @returns {object} a model record reflecting the original relatedRecord, or a promise of it if optimistic or persisted
    */
-  add = (relatedRecord) => {
+  add = (relatedRecord, options = {}) => {
     const { inverse, record, property } = this
 
+    if (options.optimistic || options.persist) {
+      return this._optimistically([relatedRecord].flat(), () => this.add(relatedRecord), options)
+    }
+
     return addRelatedRecord(property, record, relatedRecord, inverse)
   }
 
   /**
-   * Removes a record from the array, and updates references in the store, as well as inverse references
+   * Removes a record from the array, and updates references in the store, as well as inverse references.
+   * With `optimistic: true`, the relationship is saved straight away, see `_optimistically`. With
+   * `persist: true`, only the removed record is sent, with `DELETE` to the relationship endpoint.
    *
    * @param {object} relatedRecord the record to remove from the array
-   * @returns {object} a model record reflecting the original relatedRecord
+   * @param {object} options { optimistic, persist }
+   * @returns {object} a model record reflecting the original relatedRecord, or a promise of it if optimistic or persisted
    */
-  remove = (relatedRecord) => {
+  remove = (relatedRecord, options = {}) => {
     const { inverse, record, property } = this
+
+    if (options.optimistic || options.persist) {
+      return this._optimistically([relatedRecord], () => this.remove(relatedRecord), options)
+    }
+
     return removeRelatedRecord(property, record, relatedRecord, inverse)
   }
 
   /**
-   * Replaces the internal array of objects with a new one, including inverse relationships
+   * Replaces the internal array of objects with a new one, including inverse relationships.
+   * With `optimistic: true`, the relationship is saved straight away, see `_optimistically`. With
+   * `persist: true`, the whole relationship is sent with `PATCH` to the relationship endpoint.
    *
    * @param {Array} array the array of objects that will replace the existing one
-   * @returns {Array} this internal array
+   * @param {object} options { optimistic, persist }
+   * @returns {Array} this internal array, or a promise of it if optimistic or persisted
    */
-  replace = (array = []) => {
+  replace = (array = [], options = {}) => {
     const { inverse, record, property, store } = this
     let newRecords
 
+    if (options.optimistic || options.persist) {
+      return this._optimistically(array, () => this.replace(array), { ...options, replace: true })
+    }
+
     transaction(() => {
       if (inverse?.direction === 'toOne') {
         this.forEach((relatedRecord) => {
@@ -334,6 +350,60 @@ export class RelatedRecordsArray extends Array {
     return newRecords
   }
 
+  /**
+   * Makes a change to the relationship and saves it with an optimistic `save`, so it counts as
+   * persisted straight away, or with `saveRelationship` if `persist` is set. If the save fails,
+   * every record the change touched, including the inverse side and any record a related record
+   * was moved from, gets back its relationships and snapshots. The change is only local while
+   * the record is new.
+   *
+   * @param {Array} relatedRecords the records being added or removed
+   * @param {Function} change makes the change
+   * @param {object} options { persist, replace }
+   * @returns {Promise} resolves to the result of the change once it is saved
+   * @private
+   */
+  _optimistically = (relatedRecords, change, options = {}) => {
+    const { inverse, record, property, store } = this
+    const touchedRecords = new Set([record, ...this])
+
+    relatedRecords.forEach((relatedRecord) => {
+      const relatedRecordFromStore = coerceDataToExistingRecord(store, relatedRecord)
+      if (!relatedRecordFromStore) return
+
+      touchedRecords.add(relatedRecordFromStore)
+      if (inverse?.direction === 'toOne' && relatedRecordFromStore[inverse.name]) {
+        touchedRecords.add(relatedRecordFromStore[inverse.name])
+      }
+    })
+
+    const previousStates = Array.from(touchedRecords).map((touchedRecord) => ({
+      touchedRecord,
+      relationships: cloneDeep(toJS(touchedRecord.relationships)),
+      snapshots: touchedRecord._snapshots.slice()
+    }))
+
+    const result = change()
+    if (record.isNew) return Promise.resolve(result)
+
+    const saved = options.persist
+      ? record.saveRelationship(property, { replace: options.replace })
+      : record.save({ relationships: [property], attributes: [], optimistic: true })
+
+    return saved.then(
+      () => result,
+      (error) => {
+        runInAction(() => {
+          previousStates.forEach(({ touchedRecord, relationships, snapshots }) => {
+            touchedRecord.relationships = relationships
+            touchedRecord._snapshots = snapshots
+          })
+        })
+        throw error
+      }
+    )
+  }
+
   /* eslint-disable */
   /*
    * This method is used by Array internals to decide
@@ -0,0 +1,190 @@
+/**
+ * Storage adapters keep data between sessions. An adapter has the same interface as
+ * `window.localStorage`: `getItem(key)`, `setItem(key, value)` and `removeItem(key)`, with string values.
+ * Any of them may return a promise, so asynchronous stores such as IndexedDB wrappers can be used.
+ *
+ *   const store = new AppStore({ offlineOptions: { enabled: true, storage: window.localStorage } })
+ *   const store = new AppStore({ persistenceOptions: { enabled: true, storage: new FileSystemStorage({ directory }) } })
+ */
+
+/**
+ * Keeps items in memory. Nothing survives a reload, so this is mostly useful for tests and
+ * as a default.
+ */
+export class MemoryStorage {
+  /**
+   * The stored items by key
+   *
+   * @type {Map}
+   */
+  items = new Map()
+
+  /**
+   * Reads an item
+   *
+   * @param {string} key the key of the item
+   * @returns {string} the item, or `null` if there is none
+   */
+  getItem (key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  /**
+   * Writes an item
+   *
+   * @param {string} key the key of the item
+   * @param {string} value the item
+   */
+  setItem (key, value) {
+    this.items.set(key, String(value))
+  }
+
+  /**
+   * Deletes an item
+   *
+   * @param {string} key the key of the item
+   */
+  removeItem (key) {
+    this.items.delete(key)
+  }
+}
+
+/**
+ * Keeps items in a `Storage` of the browser, `window.localStorage` by default. Keys can be
+ * prefixed to share the storage with the rest of the app. If the storage is full the item
+ * isn't written, and a warning is logged instead of throwing.
+ *
+ *   const storage = new WebStorage({ storage: window.sessionStorage, prefix: 'todos-app:' })
+ */
+export class WebStorage {
+  /**
+   * Sets up the adapter
+   *
+   * @param {object} options the options of the adapter
+   * @param {object} options.storage a `Storage` such as `window.localStorage`
+   * @param {string} options.prefix added to every key
+   */
+  constructor ({ storage = window.localStorage, prefix = '' } = {}) {
+    this.storage = storage
+    this.prefix = prefix
+  }
+
+  /**
+   * Reads an item
+   *
+   * @param {string} key the key of the item
+   * @returns {string} the item, or `null` if there is none
+   */
+  getItem (key) {
+    return this.storage.getItem(`${this.prefix}${key}`)
+  }
+
+  /**
+   * Writes an item
+   *
+   * @param {string} key the key of the item
+   * @param {string} value the item
+   */
+  setItem (key, value) {
+    try {
+      this.storage.setItem(`${this.prefix}${key}`, String(value))
+    } catch (error) {
+      console.warn(`Could not write '${key}' to the storage: ${error.message}`)
+    }
+  }
+
+  /**
+   * Deletes an item
+   *
+   * @param {string} key the key of the item
+   */
+  removeItem (key) {
+    this.storage.removeItem(`${this.prefix}${key}`)
+  }
+}
+
+/**
+ * Keeps items in files, one per key, for stores that run in Node. The directory is
+ * created when the first item is written.
+ *
+ *   const storage = new FileSystemStorage({ directory: path.join(os.tmpdir(), 'todos-app') })
+ */
+export class FileSystemStorage {
+  /**
+   * Sets up the adapter
+   *
+   * @param {object} options the options of the adapter
+   * @param {string} options.directory the directory of the files
+   * @param {object} options.fs an implementation of `fs/promises`, which is loaded when left out
+   */
+  constructor ({ directory, fs } = {}) {
+    if (!directory) {
+      throw new Error('FileSystemStorage needs a directory')
+    }
+
+    this.directory = directory.replace(/\/+$/, '')
+    this.fs = fs
+  }
+
+  /**
+   * Returns the path of the file of an item
+   *
+   * @param {string} key the key of the item
+   * @returns {string} the path
+   * @private
+   */
+  _pathFor (key) {
+    return `${this.directory}/${encodeURIComponent(key)}.json`
+  }
+
+  /**
+   * Returns `fs/promises`, loading it the first time so the module can be bundled for browsers
+   *
+   * @returns {Promise} resolves to the fs module
+   * @private
+   */
+  async _fs () {
+    if (!this.fs) this.fs = await import('fs/promises')
+    return this.fs
+  }
+
+  /**
+   * Reads an item
+   *
+   * @param {string} key the key of the item
+   * @returns {Promise} resolves to the item, or `null` if there is none
+   */
+  async getItem (key) {
+    const fs = await this._fs()
+    try {
+      return await fs.readFile(this._pathFor(key), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  /**
+   * Writes an item
+   *
+   * @param {string} key the key of the item
+   * @param {string} value the item
+   * @returns {Promise} resolves once the file has been written
+   */
+  async setItem (key, value) {
+    const fs = await this._fs()
+    await fs.mkdir(this.directory, { recursive: true })
+    await fs.writeFile(this._pathFor(key), String(value), 'utf8')
+  }
+
+  /**
+   * Deletes an item
+   *
+   * @param {string} key the key of the item
+   * @returns {Promise} resolves once the file has been deleted
+   */
+  async removeItem (key) {
+    const fs = await this._fs()
+    await fs.rm(this._pathFor(key), { force: true })
+  }
+}
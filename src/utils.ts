@@ -5,8 +5,6 @@ import flattenDeep from 'lodash/flattenDeep'
 import { toJS } from 'mobx'
 import qs from 'qs'
 
-const pending = {}
-const counter = {}
 export const URL_MAX_LENGTH = 1024
 const ENCODED_COMMA = encodeURIComponent(',')
 
@@ -50,30 +48,6 @@ export const stringType = (value) => value.toString()
  */
 export const numberType = (value) => Number(value)
 
-/**
- * Increments a counter by 1
- *
- * @param {string} key the counter to increment
- * @returns {number} the current count
- */
-const incrementor = (key) => () => {
-  const count = (counter[key] || 0) + 1
-  counter[key] = count
-  return count
-}
-
-/**
- * Decreases a counter by 1
- *
- * @param {string} key the counter to decreases
- * @returns {number} the current count
- */
-const decrementor = (key) => () => {
-  const count = (counter[key] || 0) - 1
-  counter[key] = count
-  return count
-}
-
 /**
  * Build request url from base url, endpoint, query params, and ids.
  *
@@ -96,6 +70,35 @@ export function requestUrl (baseUrl, endpoint, queryParams = {}, id) {
   return `${baseUrl}/${endpoint}${idForPath}${queryParamString}`
 }
 
+/**
+ * Splits a comma separated query param, such as `include` or a sparse fieldset, into its values
+ *
+ *   splitList('notes,notes.author')
+ *   => ['notes', 'notes.author']
+ *
+ * @param {string|Array} value the query param
+ * @returns {Array} the values
+ */
+export function splitList (value) {
+  if (value == null) return []
+  return [].concat(value).join(',').split(',').map((item) => item.trim()).filter(Boolean)
+}
+
+/**
+ * Returns the resource linkage of the primary data of a document: resource identifiers for an
+ * array of resources, an identifier for a single resource, or `null`
+ *
+ *   resourceLinkage([{ id: 1, type: 'notes', attributes: { text: 'Receipts' } }])
+ *   => [{ id: '1', type: 'notes' }]
+ *
+ * @param {object|Array} data the primary data
+ * @returns {object|Array} the linkage
+ */
+export function resourceLinkage (data) {
+  if (Array.isArray(data)) return data.map(({ id, type }) => ({ id: String(id), type }))
+  return data ? { id: String(data.id), type: data.type } : null
+}
+
 /**
  * Generates a temporary id to be used for reference in the store
  *
@@ -106,63 +109,173 @@ export function newId () {
 }
 
 /**
- * Avoids making racing requests by blocking a request if an identical one is
- * already in-flight. Blocked requests will be resolved when the initial request
- * resolves by cloning the response.
+ * Builds the error used to reject a request that was cancelled, matching the
+ * `AbortError` that `fetch` rejects with.
  *
- 
- * @param {string} key the unique key for the request
- * @param {Function} fn the function the generates the promise
- * @returns {Promise} the request
- */
-export function combineRacedRequests (key, fn) {
-  const incrementBlocked = incrementor(key)
-  const decrementBlocked = decrementor(key)
-
-  // keep track of the number of callers waiting for this promise to resolve
-  incrementBlocked()
-
-  // Add the current call to our pending list in case another request comes in
-  // before it resolves. If there is a request already pending, we'll use the
-  // existing one instead
-  if (!pending[key]) { pending[key] = fn.call() }
-
-  return pending[key]
-    .finally(() => {
-      const count = decrementBlocked()
-      // if there are no more callers waiting for this promise to resolve (i.e. if
-      // this is the last one), we can remove the reference to the pending promise
-      // allowing subsequent requests to proceed unblocked.
-      if (count === 0) delete pending[key]
-    })
-    .then(
-      // if there are other callers waiting for this request to resolve, clone the
-      // response before returning so that we can re-use it for the remaining callers
-      response => response.clone(),
-      // Bubble the error up to be handled by the consuming code
-      error => Promise.reject(error)
-    )
+ * @returns {Error} an error named `AbortError`
+ */
+export function abortError () {
+  const error = new Error('The request was aborted.')
+  error.name = 'AbortError'
+  return error
+}
+
+/**
+ * Returns true if the error comes from a cancelled request
+ *
+ * @param {Error} error the error to check
+ * @returns {boolean} true if the request was aborted
+ */
+export const isAbortError = (error) => error?.name === 'AbortError'
+
+/**
+ * HTTP methods that can be sent more than once without changing the result
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+
+/**
+ * The default retry policy. A single attempt, so nothing is retried unless `attempts` is raised.
+ * - `attempts`: the maximum number of requests to send
+ * - `delay`: the time between attempts, in milliseconds
+ * - `backoff`: 'fixed' to always wait `delay`, or 'exponential' to multiply it by `factor` after each attempt
+ * - `maxDelay`: the longest time to wait between two attempts
+ * - `jitter`: wait a random time between 0 and the computed delay, so clients don't retry in lockstep
+ * - `statuses`: the HTTP statuses of responses that are retried, as well as network failures
+ * - `retryAfter`: wait for as long as the `Retry-After` header of the response asks
+ * - `maxElapsed`: stop retrying when the next attempt would start after this many milliseconds
+ * - `nonIdempotent`: also retry POST and PATCH requests
+ */
+export const defaultRetryOptions = {
+  attempts: 1,
+  delay: 0,
+  backoff: 'fixed',
+  factor: 2,
+  maxDelay: Infinity,
+  jitter: false,
+  statuses: [408, 429, 502, 503, 504],
+  retryAfter: true,
+  maxElapsed: Infinity,
+  nonIdempotent: false
 }
 
 /**
- * Implements a retry in case a fetch fails
+ * Reads the `Retry-After` header of a response, which is either a number of seconds or a date
+ *
+ * @param {object} response a fetch response
+ * @returns {number} the time to wait in milliseconds, or `null` if there is no valid header
+ */
+export function retryAfterDelay (response) {
+  const value = response?.headers?.get('Retry-After')
+  if (value == null || value === '') return null
+
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000
+
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Computes how long to wait before the next attempt
+ *
+ * @param {object} retryOptions the retry policy
+ * @param {number} attempt the number of the attempt that just failed, starting at 1
+ * @param {object} response the failed response, if the server responded
+ * @returns {number} the time to wait in milliseconds
+ */
+export function retryDelay (retryOptions, attempt, response) {
+  const { delay, backoff, factor, maxDelay, jitter, retryAfter } = retryOptions
+
+  if (retryAfter) {
+    const requested = retryAfterDelay(response)
+    if (requested != null) return requested
+  }
+
+  const wait = Math.min(backoff === 'exponential' ? delay * factor ** (attempt - 1) : delay, maxDelay)
+  return jitter ? Math.random() * wait : wait
+}
+
+/**
+ * Waits before the next attempt, rejecting if the signal aborts in the meantime
+ *
+ * @param {number} ms the time to wait
+ * @param {AbortSignal} signal an optional signal that cancels the wait
+ * @returns {Promise} resolves after `ms`
+ */
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    /**
+     * Stops waiting when the request is cancelled
+     */
+    const onAbort = () => {
+      clearTimeout(timeout)
+      reject(abortError())
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Sends a request, combining it with identical requests in flight if a registry is given
  *
  * @param {string} url the request url
  * @param {object} fetchOptions headers etc to use for the request
- * @param {number} attempts number of attempts to try
- * @param {number} delay time between attempts
+ * @param {object} registry an optional `RequestRegistry` for deduplication
  * @returns {Promise} the fetch
  */
-export function fetchWithRetry (url, fetchOptions, attempts, delay) {
-  const key = JSON.stringify({ url, fetchOptions })
+function sendRequest (url, fetchOptions, registry) {
+  const { signal, ...requestOptions } = fetchOptions
 
-  return combineRacedRequests(key, () => fetch(url, fetchOptions))
-    .catch(error => {
-      const attemptsRemaining = attempts - 1
-      if (!attemptsRemaining) { throw error }
-      return new Promise((resolve) => setTimeout(resolve, delay))
-        .then(() => fetchWithRetry(url, fetchOptions, attemptsRemaining, delay))
-    })
+  if (registry) {
+    return registry.combine(url, requestOptions, (requestSignal) => fetch(url, { ...requestOptions, signal: requestSignal }), signal)
+  }
+  return signal?.aborted ? Promise.reject(abortError()) : fetch(url, fetchOptions)
+}
+
+/**
+ * Implements a retry in case a fetch fails, or responds with one of the retried statuses.
+ * See `defaultRetryOptions` for the policy. An `AbortSignal` in the fetch options
+ * cancels the request and any further attempts. If a `RequestRegistry` is given,
+ * identical requests in flight are combined through it.
+ *
+ * When the attempts run out, the last response is returned or the last error is thrown.
+ *
+ * @param {string} url the request url
+ * @param {object} fetchOptions headers etc to use for the request
+ * @param {object} retryOptions the retry policy, merged with `defaultRetryOptions`
+ * @param {object} registry an optional `RequestRegistry` for deduplication
+ * @returns {Promise} the fetch
+ */
+export async function fetchWithRetry (url, fetchOptions, retryOptions = {}, registry) {
+  const options = { ...defaultRetryOptions, ...retryOptions }
+  const { signal, method = 'GET' } = fetchOptions
+  const canRetry = options.nonIdempotent || IDEMPOTENT_METHODS.includes(method.toUpperCase())
+  const startedAt = Date.now()
+
+  for (let attempt = 1; ; attempt++) {
+    const isLastAttempt = !canRetry || attempt >= options.attempts
+    let response, failure
+
+    try {
+      response = await sendRequest(url, fetchOptions, registry)
+    } catch (error) {
+      if (isLastAttempt || isAbortError(error) || signal?.aborted) throw error
+      failure = error
+    }
+
+    if (response && (isLastAttempt || !options.statuses.includes(response.status))) return response
+
+    const wait = retryDelay(options, attempt, response)
+    if (Date.now() - startedAt + wait > options.maxElapsed) {
+      if (response) return response
+      throw failure
+    }
+
+    await sleep(wait, signal)
+  }
 }
 
 /**
@@ -264,6 +377,24 @@ export async function parseErrors (response, errorMessages) {
   })
 }
 
+/**
+ * Recovers the JSONAPI errors from an error thrown by a store request. Requests reject
+ * with the errors as a JSON string in the message; anything else, such as a network
+ * failure, is wrapped in an error object with its message as the `detail`.
+ *
+ * @param {Error} error the error thrown by the request
+ * @returns {object[]} An array of JSONAPI errors
+ */
+export function errorsFromError (error) {
+  try {
+    const errors = JSON.parse(error.message)
+    if (Array.isArray(errors)) return errors
+  } catch (parseError) {
+    // not a serialized JSONAPI error
+  }
+  return [{ detail: error?.message || String(error) }]
+}
+
 /**
  * Parses the pointer of the error to retrieve the index of the
  * record the error belongs to and the full path to the attribute
@@ -289,7 +420,7 @@ export async function parseErrors (response, errorMessages) {
  * @returns {object} the matching parts of the pointer
  */
 export function parseErrorPointer (error = {}) {
-  const regex = /\/data\/(?<index>\d+)?\/?attributes\/(?<key>.*)$/
+  const regex = /\/data\/(?<index>\d+)?\/?(attributes\/(?<key>.*))?$/
   const match = dig(error, 'source.pointer', '').match(regex)
   const { index = 0, key } = match?.groups || {}
 
@@ -299,6 +430,25 @@ export function parseErrorPointer (error = {}) {
   }
 }
 
+/**
+ * Parses the pointer of an error from an atomic operations request, such as
+ * `/atomic:operations/1/data/attributes/title`, into the index of the operation and the
+ * attribute or relationship it refers to
+ *
+ * @param {object} error the error
+ * @returns {object} { index, key }, where `key` is undefined for errors on the whole operation
+ */
+export function parseAtomicErrorPointer (error = {}) {
+  const regex = /^\/atomic:operations\/(?<index>\d+)(\/data\/(attributes|relationships)\/(?<key>.*))?/
+  const match = dig(error, 'source.pointer', '').match(regex)
+  const { index, key } = match?.groups || {}
+
+  return {
+    index: index == null ? undefined : parseInt(index),
+    key: key?.replace(/\//g, '.')
+  }
+}
+
 /**
  * Splits an array of ids into a series of strings that can be used to form
  * queries that conform to a max length of URL_MAX_LENGTH. This is to prevent 414 errors.